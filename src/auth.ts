@@ -0,0 +1,84 @@
+// Optional bearer-token authentication
+//
+// AUTH_TOKENS is a secret holding a JSON object that maps each token to the
+// principal it authenticates, e.g. { "<token>": "team-a" }. Without it the
+// server stays authless and every request runs unrestricted. Tokens are taken
+// from an "Authorization: Bearer <token>" header, or from an access_token
+// query parameter for clients (EventSource, browser WebSockets) that cannot
+// set headers.
+
+import { describeError } from "./treeaccess";
+
+let cachedTokens: { source: string; tokens: Map<string, string> } | null = null;
+
+// Tokens configured in AUTH_TOKENS, or null when auth is off
+function readTokens(env: Env): Map<string, string> | null {
+	const source = env.AUTH_TOKENS;
+	if (!source) {
+		return null;
+	}
+	if (cachedTokens?.source !== source) {
+		const parsed: unknown = JSON.parse(source);
+		if (
+			parsed === null ||
+			typeof parsed !== "object" ||
+			Array.isArray(parsed)
+		) {
+			throw new Error("AUTH_TOKENS must be a JSON object of token: principal");
+		}
+		cachedTokens = {
+			source,
+			tokens: new Map(Object.entries(parsed as Record<string, string>)),
+		};
+	}
+	return cachedTokens.tokens;
+}
+
+// Principal a request authenticates as: null when auth is off, undefined when
+// it carries no valid token
+export function authenticate(
+	request: Request,
+	env: Env,
+): string | null | undefined {
+	const tokens = readTokens(env);
+	if (tokens === null) {
+		return null;
+	}
+
+	const header = request.headers.get("authorization") ?? "";
+	const match = /^Bearer\s+(.+)$/i.exec(header);
+	const token =
+		match?.[1].trim() ?? new URL(request.url).searchParams.get("access_token");
+	return token === null ? undefined : tokens.get(token);
+}
+
+// Principal the tree is opened as: admins (listed in ADMIN_PRINCIPALS,
+// comma-separated) are unrestricted, as is everyone when auth is off
+export function treePrincipal(
+	env: Env,
+	principal: string | null,
+): string | null {
+	const admins = (env.ADMIN_PRINCIPALS ?? "")
+		.split(",")
+		.map((admin) => admin.trim())
+		.filter((admin) => admin !== "");
+	return principal !== null && admins.includes(principal) ? null : principal;
+}
+
+// Refuse a request with an error shaped like the HTTP API's: 401 when it has
+// no valid token, 403 when its principal may not make it
+export function unauthorizedResponse(
+	message = "Missing or invalid bearer token",
+): Response {
+	const error = describeError(new Error(message));
+	const unauthenticated = error.code === "UNAUTHENTICATED";
+	return new Response(JSON.stringify({ error }), {
+		status: unauthenticated ? 401 : 403,
+		headers: {
+			"content-type": "application/json",
+			...(unauthenticated
+				? { "www-authenticate": 'Bearer realm="kvtree"' }
+				: {}),
+		},
+	});
+}
@@ -0,0 +1,164 @@
+/**
+ * Durable Object Tree Storage Implementation
+ * Runs KVTreeStorage inside a single coordinating SQLite-backed Durable Object,
+ * so every tree operation is applied as one storage transaction
+ */
+import { DurableObject } from 'cloudflare:workers';
+import KVTreeStorage from './cfkvtree.js';
+import { DurableObjectBackend } from './kvbackends.js';
+import { TreeCache } from './treecache.js';
+
+/**
+ * Tree operations forwarded to the coordinating Durable Object
+ */
+const REMOTE_METHODS = [
+  'initializeRoot',
+  'purgeStorage',
+  'registerNamespace',
+  'listNamespaces',
+  'unregisterNamespace',
+  'nodeExists',
+  'createNode',
+  'createPath',
+  'getValue',
+  'getVersionedValue',
+  'readValueRecord',
+  'setValue',
+  'compareAndSet',
+  'compareAndDelete',
+  'listHistory',
+  'readAsOf',
+  'revertNode',
+  'getChildren',
+  'readChildNames',
+  'listChildren',
+  'getNode',
+  'deleteNode',
+  'moveNode',
+  'copySubtree',
+  'traverse',
+  'traversePage',
+  'findNodes',
+  'queryNodes',
+  'searchNodes',
+  'listLocks',
+  'acquireLock',
+  'renewLock',
+  'releaseLock',
+  'checkLocks',
+  'readAccess',
+  'checkAccess',
+  'grantAccess',
+  'revokeAccess',
+  'listGrants',
+  'getStats',
+  'getCacheStats',
+  'migrateLayout',
+  'fsck',
+  'batchCreateNodes',
+  'batch',
+  'exportTree',
+  'exportTreePage',
+  'importTree',
+  'captureSnapshot',
+  'listSnapshots',
+  'readSnapshot',
+  'deleteSnapshot',
+  'diffSnapshot',
+  'restoreSnapshot'
+];
+
+/**
+ * Coordinating Durable Object holding the whole tree
+ * Operations run one at a time, each inside a storage transaction, so a
+ * failure part-way through createNode, deleteNode or moveNode rolls back
+ * instead of leaving orphan nodes or dangling child entries
+ */
+export class TreeStore extends DurableObject {
+  constructor(ctx, env) {
+    super(ctx, env);
+    // Tail of the queue of pending operations
+    this.pending = Promise.resolve();
+    // Every write goes through this object, so its cache never goes stale
+    this.cache = new TreeCache({ maxAgeMs: Infinity });
+  }
+
+  /**
+   * Run a KVTreeStorage method transactionally
+   * Resolves to { result, changes } or { error: { message } }; errors are
+   * returned rather than thrown so they reach the caller intact over RPC.
+   * changes are the operation's change events, only returned once it has
+   * committed
+   * Callback arguments (traverse, findNodes) arrive as RPC stubs and are
+   * called back into the requesting Worker
+   */
+  async run(method, args, options = {}) {
+    if (!REMOTE_METHODS.includes(method)) {
+      return { error: { message: `Unsupported tree operation: ${method}` } };
+    }
+
+    // Queue behind earlier operations, since hashing and callbacks would
+    // otherwise let two transactions interleave
+    const operation = this.pending.then(() => {
+      return this.ctx.storage.transaction(async txn => {
+        const changes = [];
+        const tree = new KVTreeStorage(new DurableObjectBackend(txn), {
+          ...options,
+          cache: this.cache,
+          onChange: event => { changes.push(event); }
+        });
+        try {
+          return { result: await tree[method](...args), changes };
+        } catch (error) {
+          // Undo any partial writes, e.g. a moveNode that failed half-way,
+          // along with what the cache learned from them
+          txn.rollback();
+          this.cache.invalidateAll();
+          return { error: { message: error.message } };
+        }
+      });
+    });
+    this.pending = operation.catch(() => {});
+
+    return await operation;
+  }
+}
+
+/**
+ * Tree storage client backed by the TreeStore Durable Object
+ * Same interface as KVTreeStorage; value helpers (serializeValue,
+ * getValueType, ...) run locally and tree operations run in the object.
+ * options.onChange runs here, once the operation has committed
+ * options.cache is not used, as the object keeps a cache of its own
+ */
+export class DurableTreeStorage extends KVTreeStorage {
+  constructor(namespace, options = {}) {
+    super(null, { ...options, cache: null });
+    const objectName = options.objectName || 'tree';
+    this.stub = namespace.get(namespace.idFromName(objectName));
+    this.options = {
+      prefix: this.globalPrefix,
+      session: this.session,
+      historyRetention: this.historyRetention,
+      principal: this.principal,
+      owner: this.owner
+    };
+  }
+}
+
+for (const method of REMOTE_METHODS) {
+  DurableTreeStorage.prototype[method] = async function (...args) {
+    const { result, changes, error } = await this.stub.run(method, args, this.options);
+    if (error) {
+      throw new Error(error.message);
+    }
+    if (this.onChange !== null) {
+      for (const event of changes) {
+        await this.onChange(event);
+      }
+    }
+    return result;
+  };
+}
+
+export default DurableTreeStorage;
@@ -5,10 +5,176 @@
  * Credit is mostly due to Anthropic's Claude 4 Opus model. **Thanks, Claude!**
  * Reviewed by Victor Condino <un1tz3r0@gmail.com>
  */
+import { compileFilter } from './nodefilter.js';
+import { CountingBackend } from './kvbackends.js';
+
+// Workers KV rejects keys longer than this many bytes
+const MAX_KEY_BYTES = 512;
+
+// Workers KV rejects expirations less than this many seconds away
+const MIN_TTL_SECONDS = 60;
+
+/**
+ * Root child holding the tree's own records (locks, ...)
+ * Hidden from the root's children, so it never shows up in listings,
+ * traversals or exports
+ */
+export const RESERVED_ROOT = '.kvtree';
+
+// Lock records, one child per locked path
+const LOCKS_PATH = [RESERVED_ROOT, 'locks'];
+
+// Counter handing out fencing numbers (named for the tokens it once handed out)
+const LOCK_FENCE_PATH = [RESERVED_ROOT, 'lock-token'];
+
+// Named snapshots, one child per snapshot
+const SNAPSHOTS_PATH = [RESERVED_ROOT, 'snapshots'];
+
+// Access grants, one child per granted path
+const ACL_PATH = [RESERVED_ROOT, 'acl'];
+
+// Namespaces other than the global tree, one child per storage prefix; kept
+// in the global tree
+const NAMESPACES_PATH = [RESERVED_ROOT, 'namespaces'];
+
+// Access levels in increasing order; each includes the ones before it
+export const ACCESS_LEVELS = ['read', 'write', 'admin'];
+
+// Grants to this principal apply to every principal
+export const ANY_PRINCIPAL = '*';
+
+// Snapshot blobs are stored in chunks of this many characters, to stay
+// within backend value size limits
+const SNAPSHOT_CHUNK_LENGTH = 256 * 1024;
+
+// How importTree treats nodes that already exist
+const IMPORT_MODES = ['merge', 'skip-existing', 'replace'];
+
+/**
+ * Key layout new trees are stored in
+ * Layout 1 keyed nodes by the hex SHA-256 of their path joined with '::', so
+ * ['a::b'] and ['a', 'b'] shared keys. Layout 2 hashes the path as a JSON
+ * array, which is unambiguous, and keys nodes as <prefix>-v2-<hash>-<suffix>
+ * with the hash in base64url, so its keys never clash with layout 1's and
+ * are shorter than them. Trees in layout 1 are moved over by migrateLayout
+ */
+export const LAYOUT_VERSION = 2;
+
+/**
+ * Flatten an exportTree structure into a Map from JSON-encoded relative
+ * paths to { path, value }, in pre-order
+ */
+function flattenTree(treeData, relativePath = [], nodes = new Map()) {
+  nodes.set(JSON.stringify(relativePath), { path: relativePath, value: treeData.value ?? null });
+  for (const [childKey, childData] of Object.entries(treeData.children ?? {})) {
+    flattenTree(childData, [...relativePath, childKey], nodes);
+  }
+  return nodes;
+}
+
+/**
+ * Check whether a path is equal to or inside another
+ */
+function isWithin(pathArray, ancestorPath) {
+  return ancestorPath.length <= pathArray.length &&
+    ancestorPath.every((key, index) => pathArray[index] === key);
+}
+
+// Operations a batch can run
+const BATCH_OPS = ['set', 'create', 'delete', 'move', 'copy'];
+
+/**
+ * Path every match of a glob pattern lies under: startPath followed by the
+ * pattern's leading literal segments
+ */
+function patternPrefix(segments, startPath = []) {
+  const end = segments.findIndex(segment => segment.type !== 'literal');
+  const literals = end === -1 ? segments : segments.slice(0, end);
+  return [...startPath, ...literals.map(segment => segment.value)];
+}
+
+/**
+ * Random secret proving a lock is held, as 32 hex digits
+ * Unlike the lock's fencing number it cannot be guessed
+ */
+function randomLockToken() {
+  return Array.from(crypto.getRandomValues(new Uint8Array(16)),
+    byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Error for a node that does not exist, thrown alike by every operation so
+ * callers can tell it apart by its message
+ */
+function nodeNotFound(pathArray) {
+  return new Error(`Node does not exist: ${pathArray.join('/')}`);
+}
+
+/**
+ * Check whether two paths overlap: one is equal to or inside the other
+ */
+function overlaps(pathArray, otherPath) {
+  return isWithin(pathArray, otherPath) || isWithin(otherPath, pathArray);
+}
+
+/**
+ * Whether the lock whose token was passed lets its holder past lock: it is
+ * lock itself, or a lock of the same owner on an ancestor or descendant of
+ * lock's path. Holding some other lock proves nothing about this one
+ */
+function vouchesFor(tokenLock, lock) {
+  return tokenLock !== undefined && tokenLock.owner === lock.owner &&
+    overlaps(tokenLock.path, lock.path);
+}
+
+/**
+ * A lock as described to anyone but its holder: without its token
+ */
+function describeLock(lock) {
+  return Object.fromEntries(Object.entries(lock).filter(([field]) => field !== 'token'));
+}
+
+/**
+ * Path a batch move or copy puts its node at: under targetParent, named
+ * newName or after the source
+ */
+function batchTarget(op) {
+  return [...op.targetParent, op.newName ?? op.source[op.source.length - 1]];
+}
+
 class KVTreeStorage {
+  /**
+   * kvNamespace is any backend with the KV-shaped get/getWithMetadata/put/
+   * delete/list contract described in kvbackends.js: a Workers KV namespace,
+   * a MemoryBackend or a DurableObjectBackend
+   * options.session identifies the writer in revision history, and
+   * options.historyRetention is how many revisions to keep per node (0 for none)
+   * options.onChange is called with each change event, see emitChange
+   * options.principal is who operations run as, checked against the access
+   * grants; null (the default) runs them unrestricted
+   * options.owner is who locks taken through this storage belong to: the
+   * authenticated principal, or the MCP session when auth is off. Locks
+   * cannot be taken, renewed or released without one
+   * options.cache is a TreeCache (treecache.js) kept between operations by a
+   * long-lived caller; backend round trips are then counted in it
+   */
   constructor(kvNamespace, options = {}) {
-    this.kv = kvNamespace;
+    this.cache = options.cache ?? null;
+    this.kv = this.cache === null ? kvNamespace : new CountingBackend(kvNamespace, this.cache);
     this.globalPrefix = options.prefix || 'tree';
+    this.session = options.session || null;
+    this.historyRetention = options.historyRetention ?? 20;
+    this.onChange = options.onChange || null;
+    this.principal = options.principal ?? null;
+    this.owner = options.owner ?? null;
+    // Grant records, loaded afresh by the first access check of each
+    // operation called from outside
+    this.acl = { records: null };
+    // Key layout record, read before the first key is made (and kept in the
+    // cache instead when there is one)
+    this.layout = { record: null };
+    // Nesting depth of operations whose inner changes are reported as one event
+    this.changesMuted = 0;
     this.maxRetries = options.maxRetries || 5;
     this.baseRetryDelay = options.baseRetryDelay || 1000;
     this.encoder = new TextEncoder();
@@ -16,27 +182,116 @@ class KVTreeStorage {
   }
 
   /**
-   * Generate consistent hash for a key path
+   * Generate consistent hash for a key path in the given key layout
    * Uses SHA-256 for optimal performance on modern JS runtimes
    */
-  async hashPath(pathArray) {
+  async hashPath(pathArray, layoutVersion = LAYOUT_VERSION) {
     // Ensure consistent ordering and serialization
-    const pathString = pathArray.map(key => String(key)).join('::');
+    const keys = pathArray.map(key => String(key));
+    const pathString = layoutVersion === 1 ? keys.join('::') : JSON.stringify(keys);
+    const cacheKey = `${layoutVersion}:${pathString}`;
+    const cached = this.cache?.getHash(cacheKey);
+    if (cached !== undefined) {
+      return cached;
+    }
+
     const data = this.encoder.encode(pathString);
-    const hashBuffer = await crypto.subtle.digest(this.algorithm, data);
-    
-    // Convert to hex string
-    return Array.from(new Uint8Array(hashBuffer))
-      .map(b => b.toString(16).padStart(2, '0'))
-      .join('');
+    const bytes = new Uint8Array(await crypto.subtle.digest(this.algorithm, data));
+
+    // Convert to hex string (layout 1) or unpadded base64url
+    const hash = layoutVersion === 1
+      ? Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('')
+      : btoa(String.fromCharCode(...bytes))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+    this.cache?.setHash(cacheKey, hash);
+    return hash;
+  }
+
+  /**
+   * Generate storage key with prefix and suffix, in the tree's key layout
+   * unless another is given
+   */
+  async createStorageKey(pathArray, suffix, layoutVersion = null) {
+    const version = layoutVersion ?? (await this.readLayout()).version;
+    const hash = await this.hashPath(pathArray, version);
+    return version === 1
+      ? `${this.globalPrefix}-${hash}-${suffix}`
+      : `${this.globalPrefix}-v${version}-${hash}-${suffix}`;
+  }
+
+  /**
+   * Storage key of the record of the tree's key layout
+   * Kept outside the tree, as nodes cannot be found until it has been read
+   */
+  layoutKey() {
+    return `${this.globalPrefix}-layout`;
+  }
+
+  /**
+   * Read the tree's key layout as { version, migration }, where migration is
+   * the phase of a running migrateLayout (null when there is none)
+   * A tree without a layout record is in layout 1 if it has a root there,
+   * and otherwise new, so in LAYOUT_VERSION (recorded by initializeRoot)
+   * options.fresh reads past the cache, and refreshes it
+   */
+  async readLayout(options = {}) {
+    if (!options.fresh && this.cache === null && this.layout.record !== null) {
+      return this.layout.record;
+    }
+    const layoutKey = this.layoutKey();
+    const cached = options.fresh ? undefined : this.cache?.getValue(layoutKey);
+    if (cached !== undefined) {
+      return this.deserializeValue(cached.serialized);
+    }
+
+    const stored = await this.withRetry(async () => {
+      return await this.kv.get(layoutKey);
+    }, 'get tree layout');
+
+    let record;
+    if (stored !== null) {
+      record = this.deserializeValue(stored);
+    } else {
+      const legacyRootKey = await this.createStorageKey([], 'value', 1);
+      const legacyRoot = await this.withRetry(async () => {
+        return await this.kv.get(legacyRootKey);
+      }, 'get layout 1 root');
+      record = { version: legacyRoot === null ? LAYOUT_VERSION : 1, migration: null };
+    }
+
+    this.layout.record = record;
+    this.cache?.setValue(layoutKey, this.serializeValue(record), 1);
+    return record;
+  }
+
+  /**
+   * Write the tree's key layout record
+   */
+  async writeLayout(record) {
+    const serialized = this.serializeValue(record);
+    await this.withRetry(async () => {
+      await this.kv.put(this.layoutKey(), serialized);
+    }, 'set tree layout');
+    this.layout.record = record;
+    this.cache?.setValue(this.layoutKey(), serialized, 1);
   }
 
   /**
-   * Generate storage key with prefix and suffix
+   * Refuse writes while the tree is being copied to a new key layout, as
+   * nodes already copied would lose them
+   * The layout is read past the cache, so a migration started by another
+   * session is noticed at once, and the write then uses its layout
    */
-  async createStorageKey(pathArray, suffix) {
-    const hash = await this.hashPath(pathArray);
-    return `${this.globalPrefix}-${hash}-${suffix}`;
+  async checkWritable() {
+    const { migration } = await this.readLayout({ fresh: true });
+    if (migration === 'copy') {
+      throw new Error(
+        `Tree ${this.globalPrefix} is being migrated to key layout ${LAYOUT_VERSION}; ` +
+        'writes resume once migrateLayout completes'
+      );
+    }
   }
 
   /**
@@ -98,20 +353,45 @@ class KVTreeStorage {
    * Uses deterministic JSON for consistent hashing
    */
   serializeValue(value) {
+    // KV only stores strings, so null is stored as the JSON literal
     if (value === null || value === undefined) {
-      return null;
+      return 'null';
     }
     
-    // For objects, ensure consistent key ordering
-    if (typeof value === 'object' && !Array.isArray(value)) {
-      const sortedObj = {};
-      Object.keys(value).sort().forEach(key => {
-        sortedObj[key] = value[key];
-      });
-      return JSON.stringify(sortedObj);
+    // For objects (at any depth), ensure consistent key ordering
+    return JSON.stringify(value, (key, nested) => {
+      if (nested !== null && typeof nested === 'object' && !Array.isArray(nested)) {
+        const sortedObj = {};
+        Object.keys(nested).sort().forEach(nestedKey => {
+          sortedObj[nestedKey] = nested[nestedKey];
+        });
+        return sortedObj;
+      }
+      return nested;
+    });
+  }
+
+  /**
+   * Get the JSON type name of a value
+   * One of 'null', 'string', 'number', 'boolean', 'array' or 'object'
+   */
+  getValueType(value) {
+    if (value === null || value === undefined) {
+      return 'null';
+    }
+    if (Array.isArray(value)) {
+      return 'array';
+    }
+    return typeof value;
+  }
+
+  /**
+   * Verify a value has the expected JSON type before it is written
+   */
+  checkValueType(value, valueType) {
+    if (valueType !== undefined && this.getValueType(value) !== valueType) {
+      throw new Error(`Expected a value of type ${valueType}, got ${this.getValueType(value)}`);
     }
-    
-    return JSON.stringify(value);
   }
 
   /**
@@ -129,16 +409,97 @@ class KVTreeStorage {
     }
   }
 
+  /**
+   * Report a change to options.onChange, if given
+   * event is { op, path, oldValue, newValue, version }, where op is 'create',
+   * 'set', 'delete' (of the node and its whole subtree) or 'move' (which also
+   * carries targetPath); session and timestamp are added here. Changes to
+   * the tree's own records under RESERVED_ROOT are not reported
+   */
+  async emitChange(event) {
+    if (this.onChange === null || this.changesMuted > 0 || event.path[0] === RESERVED_ROOT) {
+      return;
+    }
+    await this.onChange({ ...event, session: this.session, timestamp: Date.now() });
+  }
+
   /**
    * Initialize root node if it doesn't exist
+   * Returns whether it had to be created
    */
   async initializeRoot() {
     const rootPath = [];
     const rootExists = await this.nodeExists(rootPath);
     
     if (!rootExists) {
+      // A new tree, so in the current key layout
+      await this.writeLayout({ version: LAYOUT_VERSION, migration: null });
       await this.createNode(rootPath, null);
     }
+    return !rootExists;
+  }
+
+  /**
+   * Delete every key stored under this tree's prefix, leaving nothing of
+   * the tree behind (not even its root)
+   * Returns the number of keys deleted
+   */
+  async purgeStorage() {
+    const prefix = `${this.globalPrefix}-`;
+    let deleted = 0;
+    let cursor;
+    do {
+      const page = await this.withRetry(async () => {
+        return await this.kv.list({ prefix, cursor });
+      }, `list keys under ${prefix}`);
+      for (const key of page.keys) {
+        await this.withRetry(async () => {
+          await this.kv.delete(key.name);
+        }, `delete key ${key.name}`);
+        deleted++;
+      }
+      cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor !== undefined);
+
+    this.cache?.invalidateAll();
+    return deleted;
+  }
+
+  /**
+   * Record a namespace stored alongside this (global) tree, described by
+   * { name, prefix, owner } where owner is the client a private namespace
+   * belongs to (null for a shared one)
+   */
+  async registerNamespace(namespace) {
+    const recordPath = [...NAMESPACES_PATH, namespace.prefix];
+    if (!await this.nodeExists(recordPath)) {
+      await this.createPath(recordPath, { ...namespace, createdAt: Date.now() });
+    }
+  }
+
+  /**
+   * List the recorded namespaces, as { name, prefix, owner, createdAt } with
+   * createdAt in epoch milliseconds
+   */
+  async listNamespaces() {
+    const namespaces = [];
+    for (const prefix of await this.readChildNames(NAMESPACES_PATH)) {
+      const record = await this.readValueRecord([...NAMESPACES_PATH, prefix]);
+      if (record !== null) {
+        namespaces.push(record.value);
+      }
+    }
+    return namespaces;
+  }
+
+  /**
+   * Forget a namespace once its storage has been purged
+   */
+  async unregisterNamespace(prefix) {
+    const recordPath = [...NAMESPACES_PATH, prefix];
+    if (await this.nodeExists(recordPath)) {
+      await this.deleteNode(recordPath);
+    }
   }
 
   /**
@@ -147,17 +508,67 @@ class KVTreeStorage {
   async nodeExists(pathArray) {
     try {
       const valueKey = await this.createStorageKey(pathArray, 'value');
-      const value = await this.kv.get(valueKey);
-      return value !== null;
+      if (this.cache?.knownToExist(valueKey)) {
+        return true;
+      }
+      const { value, metadata } = await this.kv.getWithMetadata(valueKey);
+      if (value === null) {
+        this.cache?.invalidate(valueKey);
+        return false;
+      }
+      this.cache?.noteExists(valueKey, metadata?.expiration ?? null);
+      return true;
     } catch (error) {
       return false;
     }
   }
 
+  /**
+   * Check a requested TTL: 0 for none, or a whole number of seconds no
+   * shorter than KV allows. The root cannot expire
+   */
+  checkTtl(pathArray, ttl) {
+    if (ttl === undefined || ttl === null) {
+      return;
+    }
+    if (!Number.isInteger(ttl) || ttl < 0 || (ttl > 0 && ttl < MIN_TTL_SECONDS)) {
+      throw new Error(`TTL must be 0 or a whole number of seconds no less than ${MIN_TTL_SECONDS}`);
+    }
+    if (pathArray.length === 0 && ttl > 0) {
+      throw new Error('The root node cannot expire');
+    }
+  }
+
+  /**
+   * Work out a node's expiration in epoch seconds, or null for none
+   * Taken from options.ttl (seconds from now, 0 for none) or an absolute
+   * options.expiration, but never later than the parent's, so an expiring
+   * node takes its whole subtree with it
+   */
+  resolveExpiration(options, parentExpiration) {
+    const now = Math.floor(Date.now() / 1000);
+    let expiration = options.ttl ? now + options.ttl : (options.expiration ?? null);
+
+    if (parentExpiration !== null && (expiration === null || parentExpiration < expiration)) {
+      expiration = parentExpiration;
+    }
+
+    // A parent due to expire within the minimum TTL leaves its new
+    // children briefly outliving it
+    return expiration === null ? null : Math.max(expiration, now + MIN_TTL_SECONDS);
+  }
+
   /**
    * Create a new node
+   * options.valueType checks the value's JSON type before anything is written
+   * options.ttl makes the node (and so its subtree) expire after that many
+   * seconds; a node never outlives its parent
+   * @param {*} [value]
    */
-  async createNode(pathArray, value = null) {
+  async createNode(pathArray, value = null, options = {}) {
+    this.checkValueType(value, options.valueType);
+    this.checkTtl(pathArray, options.ttl);
+
     // Prevent creating root twice
     if (pathArray.length === 0) {
       const exists = await this.nodeExists([]);
@@ -167,193 +578,706 @@ class KVTreeStorage {
     }
 
     // Validate parent exists (except for root)
+    let parentExpiration = null;
     if (pathArray.length > 0) {
+      if (await this.nodeExists(pathArray)) {
+        throw new Error(`Node already exists: ${pathArray.join('/')}`);
+      }
+
       const parentPath = pathArray.slice(0, -1);
-      const parentExists = await this.nodeExists(parentPath);
-      if (!parentExists) {
+      const parent = await this.readValueRecord(parentPath);
+      if (parent === null) {
         throw new Error(`Parent node does not exist: ${parentPath.join('/')}`);
       }
+      parentExpiration = parent.expiration;
+
+      const entryKey = await this.childEntryKey(parentPath, pathArray[pathArray.length - 1]);
+      if (this.encoder.encode(entryKey).length > MAX_KEY_BYTES) {
+        throw new Error(`Node name is too long: ${pathArray[pathArray.length - 1]}`);
+      }
     }
 
-    // Create node with atomic-like operations
-    await this.withRetry(async () => {
-      // Store value
-      const valueKey = await this.createStorageKey(pathArray, 'value');
-      await this.kv.put(valueKey, this.serializeValue(value));
+    const expiration = this.resolveExpiration(options, parentExpiration);
 
-      // Store parent reference (except for root)
-      if (pathArray.length > 0) {
-        const parentKey = await this.createStorageKey(pathArray, 'parent');
-        const parentPath = pathArray.slice(0, -1);
-        await this.kv.put(parentKey, this.serializeValue(parentPath));
-      }
+    // Drop any history left by an earlier node at this path that expired
+    await this.deleteHistory(pathArray);
 
-      // Initialize empty children list
-      const childrenKey = await this.createStorageKey(pathArray, 'children');
-      await this.kv.put(childrenKey, this.serializeValue([]));
+    // Create node with atomic-like operations
+    await this.withRetry(async () => {
+      // Store value as its first version
+      await this.writeValue(pathArray, value, 1, expiration);
+      await this.recordRevision(pathArray, value, 1, expiration);
 
-      // Update parent's children list (except for root)
+      // Link the node to its parent (except for root)
       if (pathArray.length > 0) {
-        await this.addChildToParent(pathArray.slice(0, -1), pathArray[pathArray.length - 1]);
+        await this.writeNodeLinks(pathArray, expiration);
       }
     }, `create node ${pathArray.join('/')}`);
+
+    await this.emitChange({ op: 'create', path: pathArray, oldValue: null, newValue: value, version: 1 });
   }
 
   /**
-   * Add child to parent's children list
+   * Write a node's parent reference and its entry in the parent's children,
+   * with the node's expiration so they vanish along with it
    */
-  async addChildToParent(parentPath, childKey) {
-    const childrenKey = await this.createStorageKey(parentPath, 'children');
-    
-    // Get current children with retry
-    const currentChildrenSerialized = await this.withRetry(async () => {
-      return await this.kv.get(childrenKey);
-    }, 'get parent children');
+  async writeNodeLinks(pathArray, expiration = null) {
+    const parentPath = pathArray.slice(0, -1);
+    const options = expiration === null ? {} : { expiration };
 
-    const currentChildren = this.deserializeValue(currentChildrenSerialized) || [];
-    
-    // Add if not already present
-    if (!currentChildren.includes(childKey)) {
-      currentChildren.push(childKey);
-      
-      // Update with retry
-      await this.withRetry(async () => {
-        await this.kv.put(childrenKey, this.serializeValue(currentChildren));
-      }, 'update parent children');
-    }
+    // Store parent reference
+    const parentKey = await this.createStorageKey(pathArray, 'parent');
+    await this.kv.put(parentKey, this.serializeValue(parentPath), options);
+
+    // Update parent's children list
+    await this.addChildToParent(parentPath, pathArray[pathArray.length - 1], expiration);
   }
 
   /**
-   * Remove child from parent's children list
+   * Storage key of the entry listing childKey among the parent's children
+   * Each child has its own entry key under a per-parent prefix, so adding or
+   * removing a child never rewrites its siblings' entries
    */
-  async removeChildFromParent(parentPath, childKey) {
-    const childrenKey = await this.createStorageKey(parentPath, 'children');
-    
-    const currentChildrenSerialized = await this.withRetry(async () => {
-      return await this.kv.get(childrenKey);
-    }, 'get parent children for removal');
-
-    const currentChildren = this.deserializeValue(currentChildrenSerialized) || [];
-    const updatedChildren = currentChildren.filter(key => key !== childKey);
-    
-    await this.withRetry(async () => {
-      await this.kv.put(childrenKey, this.serializeValue(updatedChildren));
-    }, 'remove child from parent');
+  async childEntryKey(parentPath, childKey) {
+    return `${await this.childEntryPrefix(parentPath)}${childKey}`;
   }
 
   /**
-   * Get node value
+   * Key prefix shared by all of a node's child entries
    */
-  async getValue(pathArray) {
-    const valueKey = await this.createStorageKey(pathArray, 'value');
-    const serializedValue = await this.withRetry(async () => {
-      return await this.kv.get(valueKey);
-    }, `get value for ${pathArray.join('/')}`);
-
-    if (serializedValue === null) {
-      throw new Error(`Node does not exist: ${pathArray.join('/')}`);
-    }
-
-    return this.deserializeValue(serializedValue);
+  async childEntryPrefix(pathArray) {
+    return await this.createStorageKey(pathArray, 'child:');
   }
 
   /**
-   * Set node value
+   * Add child to parent's children list
+   * The entry expires with the child, if it has an expiration
    */
-  async setValue(pathArray, value) {
-    // Verify node exists
-    const exists = await this.nodeExists(pathArray);
-    if (!exists) {
-      throw new Error(`Node does not exist: ${pathArray.join('/')}`);
-    }
+  async addChildToParent(parentPath, childKey, expiration = null) {
+    const entryKey = await this.childEntryKey(parentPath, childKey);
+    const options = expiration === null ? {} : { expiration };
+    await this.withRetry(async () => {
+      await this.kv.put(entryKey, this.serializeValue(childKey), options);
+    }, 'add child to parent');
+  }
 
-    const valueKey = await this.createStorageKey(pathArray, 'value');
+  /**
+   * Remove child from parent's children list
+   */
+  async removeChildFromParent(parentPath, childKey) {
+    const entryKey = await this.childEntryKey(parentPath, childKey);
     await this.withRetry(async () => {
-      await this.kv.put(valueKey, this.serializeValue(value));
-    }, `set value for ${pathArray.join('/')}`);
+      await this.kv.delete(entryKey);
+    }, 'remove child from parent');
   }
 
   /**
-   * Get node children
+   * Convert a node's children list from the old single-key JSON array into
+   * child entries, if it still has one
    */
-  async getChildren(pathArray) {
+  async upgradeLegacyChildren(pathArray) {
+    // Migrating to layout 2 converts them all
+    if ((await this.readLayout()).version >= 2) {
+      return;
+    }
     const childrenKey = await this.createStorageKey(pathArray, 'children');
+    if (this.cache?.isUpgraded(childrenKey)) {
+      return;
+    }
     const serializedChildren = await this.withRetry(async () => {
       return await this.kv.get(childrenKey);
-    }, `get children for ${pathArray.join('/')}`);
+    }, `get legacy children for ${pathArray.join('/')}`);
 
     if (serializedChildren === null) {
-      throw new Error(`Node does not exist: ${pathArray.join('/')}`);
+      this.cache?.noteUpgraded(childrenKey);
+      return;
     }
 
-    return this.deserializeValue(serializedChildren) || [];
+    for (const childKey of this.deserializeValue(serializedChildren) || []) {
+      await this.addChildToParent(pathArray, childKey);
+    }
+    await this.withRetry(async () => {
+      await this.kv.delete(childrenKey);
+    }, `delete legacy children for ${pathArray.join('/')}`);
+    this.cache?.noteUpgraded(childrenKey);
   }
 
   /**
-   * Get complete node information
+   * List one page of a node's child names in key order
+   * Returns { names, cursor }, where cursor is the backend's list cursor
+   * (null on the last page). A missing node has no children, and the
+   * reserved root child is left out of the root's unless
+   * options.includeReserved
    */
-  async getNode(pathArray) {
-    const [value, children] = await Promise.all([
-      this.getValue(pathArray),
-      this.getChildren(pathArray)
-    ]);
+  async listChildEntries(pathArray, options = {}) {
+    const { limit = 1000, cursor = null, includeReserved = false } = options;
+    if (cursor === null) {
+      await this.upgradeLegacyChildren(pathArray);
+    }
+
+    const prefix = await this.childEntryPrefix(pathArray);
+    const page = await this.withRetry(async () => {
+      return await this.kv.list({ prefix, limit, cursor: cursor ?? undefined });
+    }, `list children for ${pathArray.join('/')}`);
+
+    const names = page.keys.map(key => key.name.slice(prefix.length));
 
     return {
-      path: pathArray,
-      value,
-      children,
-      hasChildren: children.length > 0
+      names: pathArray.length === 0 && !includeReserved
+        ? names.filter(name => name !== RESERVED_ROOT)
+        : names,
+      cursor: page.list_complete ? null : page.cursor
     };
   }
 
   /**
-   * Delete a node and all its descendants
-   * Implements two-phase deletion for consistency
+   * Get node value
    */
-  async deleteNode(pathArray) {
-    // Prevent deleting root
-    if (pathArray.length === 0) {
-      throw new Error('Cannot delete root node');
+  async getValue(pathArray) {
+    const record = await this.readValueRecord(pathArray);
+    if (record === null) {
+      throw nodeNotFound(pathArray);
     }
 
-    // Verify node exists
-    const exists = await this.nodeExists(pathArray);
-    if (!exists) {
-      throw new Error(`Node does not exist: ${pathArray.join('/')}`);
+    return record.value;
+  }
+
+  /**
+   * Get node value together with its version number and expiration
+   * Versions start at 1 and increase by one on every write; nodes written
+   * before versioning was introduced report version 1
+   */
+  async getVersionedValue(pathArray) {
+    const record = await this.readValueRecord(pathArray);
+    if (record === null) {
+      throw nodeNotFound(pathArray);
     }
 
-    // Phase 1: Collect all descendants
-    const descendantPaths = await this.collectDescendants(pathArray);
-    const allPaths = [pathArray, ...descendantPaths];
+    return record;
+  }
 
-    try {
-      // Phase 2: Delete all nodes (leaf to root order for consistency)
-      allPaths.reverse(); // Delete leaves first
-      
-      for (const path of allPaths) {
-        await this.deleteSingleNode(path);
-      }
+  /**
+   * Read a node's value and version, or null if the node does not exist
+   * options.fresh reads past the cache, for reads that decide whether a
+   * write may go ahead (compare-and-set expectations, locks and grants),
+   * which must not miss another session's recent write
+   */
+  async readValueRecord(pathArray, options = {}) {
+    const valueKey = await this.createStorageKey(pathArray, 'value');
+    const cached = options.fresh ? undefined : this.cache?.getValue(valueKey);
+    if (cached !== undefined) {
+      return {
+        value: this.deserializeValue(cached.serialized),
+        version: cached.version,
+        expiration: cached.expiration
+      };
+    }
 
-      // Update parent's children list
-      const parentPath = pathArray.slice(0, -1);
-      const childKey = pathArray[pathArray.length - 1];
-      await this.removeChildFromParent(parentPath, childKey);
-      
-    } catch (error) {
-      throw new Error(`Failed to delete node ${pathArray.join('/')}: ${error.message}`);
+    const { value, metadata } = await this.withRetry(async () => {
+      return await this.kv.getWithMetadata(valueKey);
+    }, `get value for ${pathArray.join('/')}`);
+
+    if (value === null) {
+      this.cache?.invalidate(valueKey);
+      return null;
     }
+
+    const version = metadata?.version ?? 1;
+    const expiration = metadata?.expiration ?? null;
+    this.cache?.setValue(valueKey, value, version, expiration);
+    return { value: this.deserializeValue(value), version, expiration };
   }
 
   /**
-   * Collect all descendant paths using breadth-first traversal
+   * Write a node's value key, recording its version (and expiration, in
+   * epoch seconds, if it has one) in the key metadata
+   * @param {*} value
    */
-  async collectDescendants(pathArray) {
-    const descendants = [];
-    const queue = [pathArray];
-    
-    while (queue.length > 0) {
-      const currentPath = queue.shift();
-      
+  async writeValue(pathArray, value, version, expiration = null) {
+    const valueKey = await this.createStorageKey(pathArray, 'value');
+    const options = expiration === null
+      ? { metadata: { version } }
+      : { metadata: { version, expiration }, expiration };
+    const serialized = this.serializeValue(value);
+    await this.withRetry(async () => {
+      await this.kv.put(valueKey, serialized, options);
+    }, `set value for ${pathArray.join('/')}`);
+    this.cache?.setValue(valueKey, serialized, version, expiration);
+  }
+
+  /**
+   * Write a new version of an existing node's value
+   * The node keeps its expiration unless ttl is given (0 for none), in which
+   * case its links are rewritten to match and descendants are brought
+   * forward so none outlives it. Returns the node's expiration
+   * @param {*} value
+   */
+  async updateValue(pathArray, value, version, current, ttl) {
+    if (ttl === undefined || ttl === null) {
+      await this.writeValue(pathArray, value, version, current.expiration);
+      await this.recordRevision(pathArray, value, version, current.expiration);
+      await this.emitChange({ op: 'set', path: pathArray, oldValue: current.value, newValue: value, version });
+      return current.expiration;
+    }
+
+    const parent = pathArray.length > 0
+      ? await this.readValueRecord(pathArray.slice(0, -1))
+      : null;
+    const expiration = this.resolveExpiration({ ttl }, parent?.expiration ?? null);
+
+    await this.writeValue(pathArray, value, version, expiration);
+    await this.recordRevision(pathArray, value, version, expiration);
+    if (pathArray.length > 0) {
+      await this.writeNodeLinks(pathArray, expiration);
+    }
+    if (expiration !== null) {
+      await this.capSubtreeExpiration(pathArray, expiration);
+    }
+    await this.emitChange({ op: 'set', path: pathArray, oldValue: current.value, newValue: value, version });
+    return expiration;
+  }
+
+  /**
+   * Key prefix shared by a node's revision log entries
+   * Entries are keyed by zero-padded revision so they list in order
+   */
+  async revisionPrefix(pathArray) {
+    return await this.createStorageKey(pathArray, 'rev:');
+  }
+
+  /**
+   * Append a write to a node's revision log
+   * Each write gets its own key, with the revision equal to the node version,
+   * and revisions that have fallen out of the retention window are dropped
+   * @param {*} value
+   */
+  async recordRevision(pathArray, value, version, expiration = null) {
+    // The tree's own records (locks, snapshots) keep no history
+    if (this.historyRetention <= 0 || this.isReservedPath(pathArray)) {
+      return;
+    }
+
+    const prefix = await this.revisionPrefix(pathArray);
+    const timestamp = Date.now();
+    const entry = { revision: version, timestamp, session: this.session, value };
+    const options = expiration === null
+      ? { metadata: { timestamp } }
+      : { metadata: { timestamp }, expiration };
+
+    await this.withRetry(async () => {
+      await this.kv.put(`${prefix}${String(version).padStart(12, '0')}`,
+        this.serializeValue(entry), options);
+    }, `record revision of ${pathArray.join('/')}`);
+
+    // Scan from the oldest up to the cutoff rather than dropping only the
+    // revision this write pushed out, so revisions kept under a longer
+    // retention (it may have been lowered, or differ between callers) go too
+    const cutoff = version - this.historyRetention;
+    let cursor;
+    let reached = cutoff < 1;
+    while (!reached) {
+      const page = await this.withRetry(async () => {
+        return await this.kv.list({ prefix, cursor });
+      }, `list history for ${pathArray.join('/')}`);
+      for (const key of page.keys) {
+        if (Number(key.name.slice(prefix.length)) > cutoff) {
+          reached = true;
+          break;
+        }
+        await this.withRetry(async () => {
+          await this.kv.delete(key.name);
+        }, `drop revision of ${pathArray.join('/')}`);
+      }
+      cursor = page.list_complete ? undefined : page.cursor;
+      reached ||= cursor === undefined;
+    }
+  }
+
+  /**
+   * List one page of a node's revision log, oldest first
+   * Returns { revisions, cursor } where each revision is
+   * { revision, timestamp, session, value } with timestamp in epoch
+   * milliseconds; pass cursor back as options.cursor for the next page
+   */
+  async listHistory(pathArray, options = {}) {
+    const { limit = 100, cursor = null } = options;
+    const listCursor = cursor === null ? null : this.decodeCursor(cursor, 'history').list;
+
+    if (!await this.nodeExists(pathArray)) {
+      throw nodeNotFound(pathArray);
+    }
+
+    const prefix = await this.revisionPrefix(pathArray);
+    const page = await this.withRetry(async () => {
+      return await this.kv.list({ prefix, limit, cursor: listCursor ?? undefined });
+    }, `list history for ${pathArray.join('/')}`);
+
+    const revisions = [];
+    for (const key of page.keys) {
+      const entry = await this.withRetry(async () => {
+        return await this.kv.get(key.name);
+      }, `get revision ${key.name}`);
+      if (entry !== null) {
+        revisions.push(this.deserializeValue(entry));
+      }
+    }
+
+    return {
+      revisions,
+      cursor: page.list_complete
+        ? null
+        : this.encodeCursor({ kind: 'history', list: page.cursor })
+    };
+  }
+
+  /**
+   * Read a node's revision as of options.revision, or as of options.timestamp
+   * (epoch milliseconds: the last revision written at or before it)
+   * Throws if the revision is not in the retained history
+   */
+  async readAsOf(pathArray, options = {}) {
+    const { revision, timestamp } = options;
+    const prefix = await this.revisionPrefix(pathArray);
+    let name = null;
+
+    if (revision !== undefined) {
+      name = `${prefix}${String(revision).padStart(12, '0')}`;
+    } else if (timestamp !== undefined) {
+      let cursor;
+      do {
+        const page = await this.withRetry(async () => {
+          return await this.kv.list({ prefix, cursor });
+        }, `list history for ${pathArray.join('/')}`);
+        for (const key of page.keys) {
+          if ((key.metadata?.timestamp ?? Infinity) <= timestamp) {
+            name = key.name;
+          }
+        }
+        cursor = page.list_complete ? undefined : page.cursor;
+      } while (cursor !== undefined);
+    } else {
+      throw new Error('readAsOf requires a revision or a timestamp');
+    }
+
+    const entry = name === null ? null : await this.withRetry(async () => {
+      return await this.kv.get(name);
+    }, `get revision ${name}`);
+    if (entry === null) {
+      const when = revision !== undefined
+        ? `revision ${revision}`
+        : new Date(timestamp).toISOString();
+      throw new Error(`No retained revision of ${pathArray.join('/')} at ${when}`);
+    }
+    return this.deserializeValue(entry);
+  }
+
+  /**
+   * Write a prior revision's value back as a new revision
+   * Returns { revertedTo, version }
+   */
+  async revertNode(pathArray, revision) {
+    const entry = await this.readAsOf(pathArray, { revision });
+    const { version } = await this.setValue(pathArray, entry.value);
+    return { revertedTo: revision, version };
+  }
+
+  /**
+   * Delete a node's whole revision log
+   */
+  async deleteHistory(pathArray) {
+    const prefix = await this.revisionPrefix(pathArray);
+    let cursor;
+    do {
+      const page = await this.withRetry(async () => {
+        return await this.kv.list({ prefix, cursor });
+      }, `list history for ${pathArray.join('/')}`);
+      for (const key of page.keys) {
+        await this.withRetry(async () => {
+          await this.kv.delete(key.name);
+        }, `delete key ${key.name}`);
+      }
+      cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor !== undefined);
+  }
+
+  /**
+   * Bring forward the expiration of any descendants that would outlive
+   * the given expiration
+   */
+  async capSubtreeExpiration(pathArray, expiration) {
+    for (const childKey of await this.readChildNames(pathArray)) {
+      const childPath = [...pathArray, childKey];
+      const child = await this.readValueRecord(childPath);
+
+      // Descendants of a child that already expires in time do too
+      if (child === null || (child.expiration !== null && child.expiration <= expiration)) {
+        continue;
+      }
+
+      await this.writeValue(childPath, child.value, child.version, expiration);
+      await this.writeNodeLinks(childPath, expiration);
+      await this.capSubtreeExpiration(childPath, expiration);
+    }
+  }
+
+  /**
+   * Set node value
+   * With options.createParents, missing nodes along the path are created
+   * (mkdir -p style) instead of failing; returns the paths that were created
+   * options.valueType checks the value's JSON type before anything is written
+   * options.ttl sets a new expiration in seconds (0 for none); without it the
+   * node keeps its current one
+   * Returns the node's new version
+   * @param {*} value
+   */
+  async setValue(pathArray, value, options = {}) {
+    const { createParents = false, valueType, ttl } = options;
+    this.checkValueType(value, valueType);
+    this.checkTtl(pathArray, ttl);
+
+    // Verify node exists
+    const current = await this.readValueRecord(pathArray);
+    if (current === null) {
+      if (createParents) {
+        const created = await this.createPath(pathArray, value, { valueType, ttl });
+        return { created, version: 1 };
+      }
+      throw nodeNotFound(pathArray);
+    }
+
+    const version = current.version + 1;
+    await this.updateValue(pathArray, value, version, current, ttl);
+
+    return { created: [], version };
+  }
+
+  /**
+   * Compare-and-set a node value
+   * Writes only if the node's current version and/or value still match
+   * expected.version and expected.value. An expected version of 0 means the
+   * node must not exist yet, in which case it is created along with any
+   * missing parents. On a conflict nothing is written and the current value
+   * and version are returned.
+   * KV is eventually consistent, so on KV this narrows the race between
+   * writers in different locations but cannot close it entirely
+   * @param {*} value
+   */
+  async compareAndSet(pathArray, value, expected = {}, options = {}) {
+    this.checkExpected('compareAndSet', expected);
+    this.checkValueType(value, options.valueType);
+    this.checkTtl(pathArray, options.ttl);
+
+    const current = await this.readValueRecord(pathArray, { fresh: true });
+    const currentVersion = current === null ? 0 : current.version;
+    const currentValue = current === null ? null : current.value;
+
+    if (!this.matchesExpected(current, expected)) {
+      return { ok: false, exists: current !== null, currentValue, currentVersion };
+    }
+
+    if (current === null) {
+      const created = await this.createPath(pathArray, value, options);
+      return { ok: true, version: 1, created };
+    }
+
+    const version = currentVersion + 1;
+    await this.updateValue(pathArray, value, version, current, options.ttl);
+    return { ok: true, version, created: [] };
+  }
+
+  /**
+   * Delete a node and its descendants only if the node's current version
+   * and/or value still match expected.version and expected.value, read and
+   * checked as by compareAndSet
+   * Returns { ok: true } or, on a conflict (a missing node included),
+   * { ok: false, exists, currentValue, currentVersion } with nothing deleted
+   */
+  async compareAndDelete(pathArray, expected = {}) {
+    this.checkExpected('compareAndDelete', expected);
+
+    const current = await this.readValueRecord(pathArray, { fresh: true });
+    if (current === null || !this.matchesExpected(current, expected)) {
+      return {
+        ok: false,
+        exists: current !== null,
+        currentValue: current === null ? null : current.value,
+        currentVersion: current === null ? 0 : current.version
+      };
+    }
+
+    await this.deleteNode(pathArray);
+    return { ok: true };
+  }
+
+  /**
+   * Check that a conditional write expects a version or a value
+   */
+  checkExpected(operation, expected) {
+    if (expected.version === undefined && expected.value === undefined) {
+      throw new Error(`${operation} requires an expected version or value`);
+    }
+  }
+
+  /**
+   * Check a node's current record (null if it is missing, at version 0)
+   * against an expected version and/or value
+   */
+  matchesExpected(current, expected) {
+    const versionMatches = expected.version === undefined ||
+      expected.version === (current === null ? 0 : current.version);
+    const valueMatches = expected.value === undefined || (current !== null &&
+      this.serializeValue(expected.value) === this.serializeValue(current.value));
+    return versionMatches && valueMatches;
+  }
+
+  /**
+   * Create a node along with any missing ancestors
+   * Ancestors are created with a null value; returns created paths, shallowest first
+   * options.ttl applies to the node itself, not to the ancestors created for it
+   * @param {*} [value]
+   */
+  async createPath(pathArray, value = null, options = {}) {
+    this.checkValueType(value, options.valueType);
+
+    // Find the deepest existing ancestor
+    let depth = pathArray.length;
+    while (depth > 0 && !(await this.nodeExists(pathArray.slice(0, depth)))) {
+      depth--;
+    }
+
+    const created = [];
+    for (let i = depth + 1; i <= pathArray.length; i++) {
+      const path = pathArray.slice(0, i);
+      const isTarget = i === pathArray.length;
+      await this.createNode(path, isTarget ? value : null, isTarget ? { ttl: options.ttl } : {});
+      created.push(path);
+    }
+
+    return created;
+  }
+
+  /**
+   * Get node children
+   */
+  async getChildren(pathArray) {
+    const children = await this.readChildNames(pathArray);
+
+    if (children.length === 0 && !await this.nodeExists(pathArray)) {
+      throw nodeNotFound(pathArray);
+    }
+
+    return children;
+  }
+
+  /**
+   * Get all of a node's child names in name order, or [] if the node does
+   * not exist. Paged listings use this order so continuation tokens stay
+   * valid while children are added and removed
+   * options.includeReserved keeps the reserved root child, see listChildEntries
+   */
+  async readChildNames(pathArray, options = {}) {
+    const names = [];
+    let cursor = null;
+
+    do {
+      const page = await this.listChildEntries(pathArray, { ...options, cursor });
+      names.push(...page.names);
+      cursor = page.cursor;
+    } while (cursor !== null);
+
+    return names;
+  }
+
+  /**
+   * List one page of a node's children in name order
+   * Returns { children, cursor }; pass cursor back as options.cursor to
+   * continue after the last name returned (null on the last page)
+   */
+  async listChildren(pathArray, options = {}) {
+    const { limit = 1000, cursor = null } = options;
+    const listCursor = cursor === null ? null : this.decodeCursor(cursor, 'children').list;
+
+    if (!await this.nodeExists(pathArray)) {
+      throw nodeNotFound(pathArray);
+    }
+
+    const page = await this.listChildEntries(pathArray, { limit, cursor: listCursor });
+
+    return {
+      children: page.names,
+      cursor: page.cursor === null
+        ? null
+        : this.encodeCursor({ kind: 'children', list: page.cursor })
+    };
+  }
+
+  /**
+   * Get complete node information
+   */
+  async getNode(pathArray) {
+    const [{ value, version, expiration }, children] = await Promise.all([
+      this.getVersionedValue(pathArray),
+      this.getChildren(pathArray)
+    ]);
+
+    return {
+      path: pathArray,
+      value,
+      version,
+      expiration,
+      children,
+      hasChildren: children.length > 0
+    };
+  }
+
+  /**
+   * Delete a node and all its descendants
+   * Implements two-phase deletion for consistency
+   */
+  async deleteNode(pathArray) {
+    // Prevent deleting root
+    if (pathArray.length === 0) {
+      throw new Error('Cannot delete root node');
+    }
+
+    // Verify node exists
+    const current = await this.readValueRecord(pathArray);
+    if (current === null) {
+      throw nodeNotFound(pathArray);
+    }
+
+    // Phase 1: Collect all descendants
+    const descendantPaths = await this.collectDescendants(pathArray);
+    const allPaths = [pathArray, ...descendantPaths];
+
+    try {
+      // Phase 2: Delete all nodes (leaf to root order for consistency),
+      // each along with its entry in its parent's children
+      allPaths.reverse(); // Delete leaves first
+      
+      for (const path of allPaths) {
+        await this.deleteSingleNode(path);
+      }
+      
+    } catch (error) {
+      throw new Error(`Failed to delete node ${pathArray.join('/')}: ${error.message}`);
+    }
+
+    await this.emitChange({
+      op: 'delete', path: pathArray, oldValue: current.value, newValue: null, version: current.version
+    });
+  }
+
+  /**
+   * Collect all descendant paths using breadth-first traversal
+   */
+  async collectDescendants(pathArray) {
+    const descendants = [];
+    const queue = [pathArray];
+    
+    while (queue.length > 0) {
+      const currentPath = queue.shift();
+      
       try {
         const children = await this.getChildren(currentPath);
         
@@ -375,14 +1299,18 @@ class KVTreeStorage {
    * Delete a single node's storage keys
    */
   async deleteSingleNode(pathArray) {
+    const valueKey = await this.createStorageKey(pathArray, 'value');
+    // Forgotten up front, so a failure part-way leaves nothing stale cached
+    this.cache?.invalidate(valueKey);
     const keys = [
-      await this.createStorageKey(pathArray, 'value'),
+      valueKey,
       await this.createStorageKey(pathArray, 'children')
     ];
 
-    // Add parent key for non-root nodes
+    // Add parent key and child entry for non-root nodes
     if (pathArray.length > 0) {
       keys.push(await this.createStorageKey(pathArray, 'parent'));
+      keys.push(await this.childEntryKey(pathArray.slice(0, -1), pathArray[pathArray.length - 1]));
     }
 
     // Delete all keys with retry
@@ -391,20 +1319,25 @@ class KVTreeStorage {
         await this.kv.delete(key);
       }, `delete key ${key}`);
     }
+
+    await this.deleteHistory(pathArray);
   }
 
   /**
    * Move a subtree to a new parent
-   * Implements copy-then-delete pattern for atomicity
+   * Implements copy-then-delete pattern for atomicity. The moved nodes are
+   * new nodes at their new paths: their versions start again at 1 and
+   * their revision history stays behind, deleted along with the source
    */
   async moveNode(sourcePath, targetParentPath, newKey) {
     // Validation
     if (sourcePath.length === 0) {
       throw new Error('Cannot move root node');
     }
+    this.checkSubtreeTarget('move', sourcePath, targetParentPath, newKey);
 
-    const sourceExists = await this.nodeExists(sourcePath);
-    if (!sourceExists) {
+    const source = await this.readValueRecord(sourcePath);
+    if (source === null) {
       throw new Error(`Source node does not exist: ${sourcePath.join('/')}`);
     }
 
@@ -419,9 +1352,11 @@ class KVTreeStorage {
       throw new Error(`Target path already exists: ${newPath.join('/')}`);
     }
 
+    // Reported as a single move rather than the creates and delete it is made of
+    this.changesMuted++;
     try {
       // Phase 1: Copy subtree to new location
-      await this.copySubtree(sourcePath, targetParentPath, newKey);
+      await this.copyNodes(sourcePath, newPath);
       
       // Phase 2: Delete original subtree
       await this.deleteNode(sourcePath);
@@ -435,23 +1370,64 @@ class KVTreeStorage {
       }
       
       throw new Error(`Failed to move node: ${error.message}`);
+    } finally {
+      this.changesMuted--;
+    }
+
+    // The copy starts its version count afresh
+    await this.emitChange({
+      op: 'move', path: sourcePath, targetPath: newPath, oldValue: source.value, newValue: source.value, version: 1
+    });
+  }
+
+  /**
+   * Check the target of a move or copy: it needs a name (there is none to
+   * keep when the source is the root) and must lie outside the source, or
+   * the operation would recurse forever or orphan the subtree
+   */
+  checkSubtreeTarget(op, sourcePath, targetParentPath, newKey) {
+    if (newKey === undefined || newKey === null) {
+      throw new Error(`Cannot ${op} a node without a new name: ${sourcePath.join('/')}`);
+    }
+    if (isWithin([...targetParentPath, newKey], sourcePath)) {
+      throw new Error(`Cannot ${op} a node into its own subtree: ${sourcePath.join('/')}`);
     }
   }
 
   /**
    * Copy a subtree to a new location
+   * Fails unless the source and the target parent exist and the target
+   * does not, so callers need not check any of it themselves
    */
   async copySubtree(sourcePath, targetParentPath, newKey) {
-    const sourceNode = await this.getNode(sourcePath);
+    this.checkSubtreeTarget('copy', sourcePath, targetParentPath, newKey);
+    if (!await this.nodeExists(sourcePath)) {
+      throw new Error(`Source node does not exist: ${sourcePath.join('/')}`);
+    }
+    if (!await this.nodeExists(targetParentPath)) {
+      throw new Error(`Target parent does not exist: ${targetParentPath.join('/')}`);
+    }
     const newPath = [...targetParentPath, newKey];
+    if (await this.nodeExists(newPath)) {
+      throw new Error(`Target path already exists: ${newPath.join('/')}`);
+    }
+
+    await this.copyNodes(sourcePath, newPath);
+  }
+
+  /**
+   * Copy the node at sourcePath and its descendants to newPath, whose
+   * parent exists; the checks are copySubtree's and moveNode's
+   */
+  async copyNodes(sourcePath, newPath) {
+    const sourceNode = await this.getNode(sourcePath);
     
-    // Create new node
-    await this.createNode(newPath, sourceNode.value);
+    // Create new node, expiring when the source would
+    await this.createNode(newPath, sourceNode.value, { expiration: sourceNode.expiration });
     
     // Recursively copy children
     for (const childKey of sourceNode.children) {
-      const childSourcePath = [...sourcePath, childKey];
-      await this.copySubtree(childSourcePath, newPath, childKey);
+      await this.copyNodes([...sourcePath, childKey], [...newPath, childKey]);
     }
   }
 
@@ -522,32 +1498,647 @@ class KVTreeStorage {
   }
 
   /**
-   * Find nodes matching a predicate
+   * Walk a subtree depth-first in pre-order, visiting children in name order
+   * Yields { node, depth, relativePath } for nodes between options.minDepth
+   * and options.maxDepth, starting after the node at relative path
+   * options.after when given. Nodes deleted since the walk last ran are
+   * skipped, so a walk can be resumed after the tree has changed
    */
-  async findNodes(predicate, startPath = []) {
-    const results = [];
-    
-    await this.traverse(startPath, async (node, depth) => {
-      if (await predicate(node, depth)) {
-        results.push(node);
+  async *walkSubtree(startPath, options = {}) {
+    const { minDepth = 0, maxDepth = Infinity, after = null } = options;
+    // Relative paths still to visit, the next one on top
+    const stack = [];
+    const pushChildren = (relativePath, names) => {
+      for (let i = names.length - 1; i >= 0; i--) {
+        stack.push([...relativePath, names[i]]);
       }
-      return true; // Continue traversal
-    });
-    
-    return results;
+    };
+
+    if (after === null) {
+      stack.push([]);
+    } else {
+      // Resume with the later siblings of `after` and of each of its
+      // ancestors, then the children of `after` itself
+      for (let depth = 1; depth <= after.length; depth++) {
+        const parent = after.slice(0, depth - 1);
+        const names = await this.readChildNames([...startPath, ...parent]);
+        pushChildren(parent, names.filter(name => name > after[depth - 1]));
+      }
+      if (after.length < maxDepth) {
+        pushChildren(after, await this.readChildNames([...startPath, ...after]));
+      }
+    }
+
+    while (stack.length > 0) {
+      const relativePath = stack.pop();
+      const path = [...startPath, ...relativePath];
+      const depth = relativePath.length;
+      const [record, children] = await Promise.all([
+        this.readValueRecord(path),
+        this.readChildNames(path)
+      ]);
+      if (record === null) continue;
+
+      if (depth >= minDepth) {
+        const node = {
+          path,
+          value: record.value,
+          version: record.version,
+          expiration: record.expiration,
+          children,
+          hasChildren: children.length > 0
+        };
+        yield { node, depth, relativePath };
+      }
+
+      if (depth < maxDepth) {
+        pushChildren(relativePath, children);
+      }
+    }
   }
 
   /**
-   * Get tree statistics
+   * Walk a subtree breadth-first, one depth at a time in name order
+   * Yields the same entries as walkSubtree. Each level is a fresh depth-first
+   * walk, so this reads the upper levels again for every level below them
    */
-  async getStats(pathArray = []) {
-    let nodeCount = 0;
-    let leafCount = 0;
-    let maxDepth = 0;
-    let totalSize = 0;
-    
-    await this.traverse(pathArray, async (node, depth) => {
-      nodeCount++;
+  async *walkLevels(startPath, options = {}) {
+    const { maxDepth = Infinity, after = null } = options;
+
+    for (let level = after === null ? 0 : after.length; level <= maxDepth; level++) {
+      const resume = after !== null && level === after.length ? after : null;
+      let found = false;
+
+      for await (const entry of this.walkSubtree(startPath, {
+        minDepth: level,
+        maxDepth: level,
+        after: resume
+      })) {
+        found = true;
+        yield entry;
+      }
+
+      // An empty level means there is nothing deeper either
+      if (!found && resume === null) return;
+    }
+  }
+
+  /**
+   * Collect one page of walk entries
+   * Stops at options.limit accepted entries or options.scanLimit entries
+   * read, returning { page, cursor } with a cursor of options.kind that
+   * resumes after the last entry read (null once the walk is finished)
+   */
+  async readPage(entries, options = {}) {
+    const { limit, kind, scanLimit = Infinity, accept = () => true } = options;
+    const page = [];
+    let scanned = 0;
+    let last = null;
+
+    for await (const entry of entries) {
+      if (page.length === limit || scanned === scanLimit) {
+        return { page, cursor: this.encodeCursor({ kind, after: last }) };
+      }
+      scanned++;
+      last = entry.relativePath;
+      if (accept(entry)) {
+        page.push(entry);
+      }
+    }
+
+    return { page, cursor: null };
+  }
+
+  /**
+   * Traverse one page of a subtree
+   * Like traverse, but returns up to options.limit nodes as
+   * { path, value, version, depth, childCount } plus a cursor to pass back as
+   * options.cursor for the next page (null on the last page). Children are
+   * visited in name order
+   */
+  async traversePage(pathArray = [], options = {}) {
+    const {
+      strategy = 'depth-first',
+      maxDepth = Infinity,
+      limit = 100,
+      cursor = null
+    } = options;
+    const after = cursor === null ? null : this.decodeCursor(cursor, strategy).after;
+
+    if (!await this.nodeExists(pathArray)) {
+      throw new Error(`Starting node does not exist: ${pathArray.join('/')}`);
+    }
+
+    const entries = strategy === 'breadth-first'
+      ? this.walkLevels(pathArray, { maxDepth, after })
+      : this.walkSubtree(pathArray, { maxDepth, after });
+    const { page, cursor: nextCursor } = await this.readPage(entries, { limit, kind: strategy });
+
+    return {
+      nodes: page.map(({ node, depth }) => ({
+        path: node.path,
+        value: node.value,
+        version: node.version,
+        depth,
+        childCount: node.children.length
+      })),
+      cursor: nextCursor
+    };
+  }
+
+  /**
+   * Find nodes matching a predicate
+   * Accepts the same options as traverse (strategy, maxDepth)
+   */
+  async findNodes(predicate, startPath = [], options = {}) {
+    const results = [];
+    
+    await this.traverse(startPath, async (node, depth) => {
+      if (await predicate(node, depth)) {
+        results.push(node);
+      }
+      return true; // Continue traversal
+    }, options);
+    
+    return results;
+  }
+
+  /**
+   * Find nodes matching a declarative filter (see nodefilter.js)
+   * Walks depth-first from startPath in name order, skipping nodes shallower
+   * than options.minDepth and not descending below options.maxDepth. Returns
+   * up to options.limit matches as { path, value, version, depth }, plus a
+   * cursor to pass back as options.cursor for the next page (null on the last
+   * page). At most options.scanLimit nodes are read per call, so a page may
+   * hold fewer than limit matches and still have a cursor
+   */
+  async searchNodes(filter, startPath = [], options = {}) {
+    const {
+      minDepth = 0,
+      maxDepth = Infinity,
+      limit = 100,
+      scanLimit = 1000,
+      cursor = null
+    } = options;
+    const predicate = compileFilter(filter ?? { all: [] });
+    const after = cursor === null ? null : this.decodeCursor(cursor, 'depth-first').after;
+
+    if (!await this.nodeExists(startPath)) {
+      throw new Error(`Starting node does not exist: ${startPath.join('/')}`);
+    }
+
+    const { page, cursor: nextCursor } = await this.readPage(
+      this.walkSubtree(startPath, { minDepth, maxDepth, after }),
+      { limit, scanLimit, kind: 'depth-first', accept: ({ node, depth }) => predicate(node, depth) }
+    );
+
+    return {
+      nodes: page.map(({ node, depth }) => ({
+        path: node.path,
+        value: node.value,
+        version: node.version,
+        depth
+      })),
+      cursor: nextCursor
+    };
+  }
+
+  /**
+   * Encode paging state as an opaque, URL-safe continuation token
+   * state.kind records which listing the cursor belongs to
+   */
+  encodeCursor(state) {
+    const bytes = this.encoder.encode(JSON.stringify(state));
+    return btoa(String.fromCharCode(...bytes))
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+  }
+
+  /**
+   * Decode a continuation token from encodeCursor, checking it is of the
+   * expected kind
+   */
+  decodeCursor(cursor, kind) {
+    let state;
+    try {
+      const binary = atob(cursor.replace(/-/g, '+').replace(/_/g, '/'));
+      const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+      state = JSON.parse(new TextDecoder().decode(bytes));
+    } catch {
+      throw new Error(`Invalid cursor: ${cursor}`);
+    }
+
+    if (state === null || typeof state !== 'object' || state.kind !== kind) {
+      throw new Error(`Invalid cursor: ${cursor}`);
+    }
+    return state;
+  }
+
+  /**
+   * Find nodes whose paths match a glob pattern
+   * segments come from PathParser.parsePattern: { type: 'literal', value },
+   * { type: 'glob', regex } or { type: 'globstar' }. Only the parts of the tree
+   * the pattern can reach are read, never including the reserved root
+   * child. Returns { matches, truncated }, where each match is
+   * { path, value, version } and at most options.limit are returned
+   * Needs read access to the pattern's literal prefix (see patternPrefix),
+   * and matches the principal cannot read are left out
+   */
+  async queryNodes(segments, options = {}) {
+    const { limit = 100, startPath = [] } = options;
+    const matches = [];
+    const seen = new Set();
+    let truncated = false;
+
+    const visit = async (pathArray, index) => {
+      if (truncated) return;
+
+      if (index === segments.length) {
+        // A globstar can reach the same node more than once
+        const pathKey = JSON.stringify(pathArray);
+        if (seen.has(pathKey)) return;
+        seen.add(pathKey);
+
+        if (matches.length >= limit) {
+          truncated = true;
+          return;
+        }
+        const record = await this.readValueRecord(pathArray);
+        if (record !== null && await this.readAccess(pathArray) !== null) {
+          matches.push({ path: pathArray, ...record });
+        }
+        return;
+      }
+
+      const segment = segments[index];
+      if (segment.type === 'literal') {
+        const childPath = [...pathArray, segment.value];
+        // Globs never list the reserved root child, and neither may a
+        // literal reach it, say after a globstar matching nothing
+        if (this.isReservedPath(childPath)) return;
+        if (await this.nodeExists(childPath)) {
+          await visit(childPath, index + 1);
+        }
+        return;
+      }
+
+      const children = await this.getChildren(pathArray);
+      if (segment.type === 'globstar') {
+        // Match zero components here, then one or more below each child
+        await visit(pathArray, index + 1);
+        for (const childKey of children) {
+          await visit([...pathArray, childKey], index);
+        }
+        return;
+      }
+
+      for (const childKey of children) {
+        if (segment.regex.test(childKey)) {
+          await visit([...pathArray, childKey], index + 1);
+        }
+      }
+    };
+
+    if (!await this.nodeExists(startPath)) {
+      throw new Error(`Starting node does not exist: ${startPath.join('/')}`);
+    }
+    await visit(startPath, 0);
+
+    return { matches, truncated };
+  }
+
+  /**
+   * Check whether a path is inside the reserved root child
+   */
+  isReservedPath(pathArray) {
+    return pathArray.length > 0 && pathArray[0] === RESERVED_ROOT;
+  }
+
+  /**
+   * Path of the record for a lock on pathArray
+   */
+  lockRecordPath(pathArray) {
+    return [...LOCKS_PATH, JSON.stringify(pathArray)];
+  }
+
+  /**
+   * Read the lock on exactly pathArray as { lock, version }, or null if
+   * there is none; lock is null once its lease has run out
+   */
+  async readLock(pathArray) {
+    const record = await this.readValueRecord(this.lockRecordPath(pathArray), { fresh: true });
+    if (record === null) {
+      return null;
+    }
+
+    const active = record.value.expiresAt > Date.now();
+    return { lock: active ? record.value : null, version: record.version };
+  }
+
+  /**
+   * List all locks whose leases have not run out
+   * Each lock is { path, owner, token, fence, expiresAt }: token is the
+   * holder's secret, fence the lock's fencing number and expiresAt in epoch
+   * milliseconds. Tokens are only ever handed to the lock's holder
+   */
+  async listLocks() {
+    const locks = [];
+    for (const name of await this.readChildNames(LOCKS_PATH)) {
+      const record = await this.readValueRecord([...LOCKS_PATH, name], { fresh: true });
+      if (record !== null && record.value.expiresAt > Date.now()) {
+        locks.push(record.value);
+      }
+    }
+    return locks;
+  }
+
+  /**
+   * Hand out the next fencing number
+   * Fences increase with every acquisition, so a storage layer can reject
+   * writes carrying a fence older than one it has already seen
+   */
+  async nextLockFence() {
+    for (let attempt = 0; attempt < this.maxRetries; attempt++) {
+      const current = await this.readValueRecord(LOCK_FENCE_PATH, { fresh: true });
+      const fence = (current?.value ?? 0) + 1;
+      const result = await this.compareAndSet(LOCK_FENCE_PATH, fence, {
+        version: current?.version ?? 0
+      });
+      if (result.ok) {
+        return fence;
+      }
+    }
+    throw new Error('Could not allocate a lock fence');
+  }
+
+  /**
+   * Check a lease length in seconds
+   */
+  checkLease(leaseSeconds) {
+    if (typeof leaseSeconds !== 'number' || !(leaseSeconds > 0)) {
+      throw new Error('Lease must be a positive number of seconds');
+    }
+  }
+
+  /**
+   * Write a lock record, expiring some time after its lease runs out
+   */
+  async writeLock(pathArray, lock, version) {
+    const leaseSeconds = (lock.expiresAt - Date.now()) / 1000;
+    return await this.compareAndSet(this.lockRecordPath(pathArray), lock, { version }, {
+      ttl: Math.max(MIN_TTL_SECONDS, Math.ceil(leaseSeconds))
+    });
+  }
+
+  /**
+   * Owner of the locks taken through this storage, see options.owner
+   */
+  lockOwner() {
+    if (this.owner === null) {
+      throw new Error('Locks need an authenticated client or an MCP session');
+    }
+    return this.owner;
+  }
+
+  /**
+   * Acquire an exclusive lease on the subtree at pathArray for this
+   * storage's owner
+   * Fails if a lock is held on the subtree, on one of its ancestors or on one
+   * of its descendants, unless the owner holds it and proves so by passing
+   * as lockToken the token of that lock or of one on an ancestor or
+   * descendant of it. Acquiring a lock the owner already holds that way
+   * extends its lease and keeps its token and fence.
+   * Returns { acquired: true, lock } or { acquired: false, lock } with the
+   * blocking lock, which is described without its token
+   */
+  async acquireLock(pathArray, leaseSeconds, lockToken) {
+    const owner = this.lockOwner();
+    this.checkLease(leaseSeconds);
+
+    const locks = await this.listLocks();
+    const tokenLock = locks.find(lock => lock.token === lockToken);
+    const blocking = locks.find(lock => overlaps(pathArray, lock.path) &&
+      !(lock.owner === owner && vouchesFor(tokenLock, lock)));
+    if (blocking !== undefined) {
+      return { acquired: false, lock: describeLock(blocking) };
+    }
+
+    const current = await this.readLock(pathArray);
+    const lock = current?.lock
+      ? { ...current.lock, expiresAt: Date.now() + leaseSeconds * 1000 }
+      : {
+        path: pathArray,
+        owner,
+        token: randomLockToken(),
+        fence: await this.nextLockFence(),
+        expiresAt: Date.now() + leaseSeconds * 1000
+      };
+
+    const result = await this.writeLock(pathArray, lock, current?.version ?? 0);
+    if (!result.ok) {
+      // Lost a race with another acquirer
+      return { acquired: false, lock: result.currentValue && describeLock(result.currentValue) };
+    }
+    return { acquired: true, lock };
+  }
+
+  /**
+   * Read the lock on pathArray, failing unless this storage's owner holds
+   * it with token
+   */
+  async readHeldLock(pathArray, token) {
+    const owner = this.lockOwner();
+    const current = await this.readLock(pathArray);
+    if (!current?.lock || current.lock.owner !== owner || current.lock.token !== token) {
+      throw new Error(`Lock is not held: ${pathArray.join('/')}`);
+    }
+    return current;
+  }
+
+  /**
+   * Extend a held lock's lease to leaseSeconds from now
+   * Returns the updated lock
+   */
+  async renewLock(pathArray, token, leaseSeconds) {
+    this.checkLease(leaseSeconds);
+
+    const current = await this.readHeldLock(pathArray, token);
+    const lock = { ...current.lock, expiresAt: Date.now() + leaseSeconds * 1000 };
+
+    const result = await this.writeLock(pathArray, lock, current.version);
+    if (!result.ok) {
+      throw new Error(`Lock is not held: ${pathArray.join('/')}`);
+    }
+    return lock;
+  }
+
+  /**
+   * Release a held lock
+   */
+  async releaseLock(pathArray, token) {
+    await this.readHeldLock(pathArray, token);
+    await this.deleteNode(this.lockRecordPath(pathArray));
+  }
+
+  /**
+   * Check that a write to pathArray is not blocked by a lock
+   * A lock blocks writes inside its subtree unless they carry its token, or
+   * the token of its owner's lock on an ancestor or descendant of it; tokens
+   * are random, so cannot be guessed. With options.subtree the write
+   * replaces the whole subtree at pathArray (delete, move), so locks inside
+   * it block it too
+   */
+  async checkLocks(pathArray, lockToken, options = {}) {
+    const { subtree = false } = options;
+    const locks = await this.listLocks();
+    const tokenLock = locks.find(lock => lock.token === lockToken);
+
+    const blocking = locks.find(lock => !vouchesFor(tokenLock, lock) &&
+      (isWithin(pathArray, lock.path) || (subtree && isWithin(lock.path, pathArray))));
+    if (blocking !== undefined) {
+      throw new Error(`Path is locked by ${blocking.owner}: ${blocking.path.join('/')}`);
+    }
+  }
+
+  /**
+   * Path of the record holding the grants on pathArray
+   */
+  aclRecordPath(pathArray) {
+    return [...ACL_PATH, JSON.stringify(pathArray)];
+  }
+
+  /**
+   * Read every grant record as { path, grants }, where grants maps each
+   * principal to its access level, keeping them for the rest of the
+   * operation's checks. They are read past the cache, so a revoked grant
+   * stops working at once
+   */
+  async readGrantRecords() {
+    if (this.acl.records === null) {
+      // Read on a checked view, as these reads are what checks are made from
+      const view = this.checkedView();
+      const records = [];
+      for (const name of await view.readChildNames(ACL_PATH)) {
+        const record = await view.readValueRecord([...ACL_PATH, name], { fresh: true });
+        if (record !== null) {
+          records.push(record.value);
+        }
+      }
+      this.acl.records = records;
+    }
+    return this.acl.records;
+  }
+
+  /**
+   * Work out the principal's access to pathArray: the highest level granted
+   * to it (or to ANY_PRINCIPAL) on the path or an ancestor, or null for none
+   */
+  async readAccess(pathArray) {
+    if (this.principal === null) {
+      return 'admin';
+    }
+
+    let rank = -1;
+    for (const record of await this.readGrantRecords()) {
+      if (isWithin(pathArray, record.path)) {
+        for (const principal of [this.principal, ANY_PRINCIPAL]) {
+          rank = Math.max(rank, ACCESS_LEVELS.indexOf(record.grants[principal]));
+        }
+      }
+    }
+    return rank < 0 ? null : ACCESS_LEVELS[rank];
+  }
+
+  /**
+   * Check that the principal has at least the given access to pathArray
+   */
+  async checkAccess(pathArray, access) {
+    const granted = await this.readAccess(pathArray);
+    if (ACCESS_LEVELS.indexOf(granted) < ACCESS_LEVELS.indexOf(access)) {
+      throw new Error(`Access denied: ${this.principal} needs ${access} access to ${pathArray.join('/')}`);
+    }
+  }
+
+  /**
+   * Grant a principal access to the subtree at pathArray, replacing any
+   * grant it already has there
+   * Returns the grant as { path, principal, access }
+   */
+  async grantAccess(pathArray, principal, access) {
+    if (typeof principal !== 'string' || principal === '') {
+      throw new Error('Principal must be a non-empty string');
+    }
+    if (!ACCESS_LEVELS.includes(access)) {
+      throw new Error(`Unknown access level: ${access}`);
+    }
+
+    const recordPath = this.aclRecordPath(pathArray);
+    const record = await this.readValueRecord(recordPath, { fresh: true });
+    const grants = { ...record?.value.grants, [principal]: access };
+    await this.setValue(recordPath, { path: pathArray, grants }, { createParents: true });
+    this.acl.records = null;
+
+    return { path: pathArray, principal, access };
+  }
+
+  /**
+   * Revoke a principal's grant on exactly pathArray
+   * Returns whether there was one
+   */
+  async revokeAccess(pathArray, principal) {
+    const recordPath = this.aclRecordPath(pathArray);
+    const record = await this.readValueRecord(recordPath, { fresh: true });
+    if (record === null || !(principal in record.value.grants)) {
+      return false;
+    }
+
+    const grants = Object.fromEntries(Object.entries(record.value.grants)
+      .filter(([grantee]) => grantee !== principal));
+    if (Object.keys(grants).length === 0) {
+      await this.deleteNode(recordPath);
+    } else {
+      await this.setValue(recordPath, { path: pathArray, grants });
+    }
+    this.acl.records = null;
+
+    return true;
+  }
+
+  /**
+   * List the grants on pathArray and inside it, as { path, principal, access }
+   */
+  async listGrants(pathArray = []) {
+    const grants = [];
+    for (const record of await this.readGrantRecords()) {
+      if (isWithin(record.path, pathArray)) {
+        for (const [principal, access] of Object.entries(record.grants)) {
+          grants.push({ path: record.path, principal, access });
+        }
+      }
+    }
+    return grants;
+  }
+
+  /**
+   * View of this storage on which operations skip the access checks,
+   * for operations to run once their own access has been checked
+   */
+  checkedView() {
+    return Object.create(this, { accessChecked: { value: true } });
+  }
+
+  /**
+   * Get tree statistics
+   */
+  async getStats(pathArray = []) {
+    let nodeCount = 0;
+    let leafCount = 0;
+    let maxDepth = 0;
+    let totalSize = 0;
+    
+    await this.traverse(pathArray, async (node, depth) => {
+      nodeCount++;
       if (node.children.length === 0) leafCount++;
       maxDepth = Math.max(maxDepth, depth);
       
@@ -567,6 +2158,412 @@ class KVTreeStorage {
     };
   }
 
+  /**
+   * Describe the cache (see TreeCache.getStats), or null without one
+   * options.reset starts its counters again from zero
+   */
+  async getCacheStats(options = {}) {
+    return this.cache === null ? null : this.cache.getStats(options);
+  }
+
+  /**
+   * Move a tree stored in key layout 1 over to LAYOUT_VERSION
+   * The tree is walked breadth first from the root in layout 1, copying each
+   * node's keys (value, parent, child entries and revisions) to the new
+   * layout; writes are refused meanwhile. Once every node is copied the tree
+   * switches to the new layout, and a second walk deletes the old keys
+   * Each call handles up to options.limit nodes and records its progress
+   * under migrationKey, so calling again resumes where the last call stopped
+   * options.dryRun writes nothing, only reporting what would be migrated;
+   * pass the returned cursor back as options.cursor to continue the report
+   * Returns { fromVersion, toVersion, phase, nodes, keys, ambiguousPaths,
+   * done, cursor }, where nodes and keys count what the phase has handled
+   * so far and ambiguousPaths are nodes with '::' in their names, whose layout 1
+   * keys may be shared with another path's. phase is 'copy', 'cleanup' or,
+   * once there is nothing left to do, 'done'
+   */
+  async migrateLayout(options = {}) {
+    const { dryRun = false, limit = 100, cursor = null } = options;
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error('limit must be a positive whole number');
+    }
+
+    const layout = await this.readLayout({ fresh: true });
+    let progress;
+    if (dryRun && cursor !== null) {
+      progress = this.decodeCursor(cursor, 'migration');
+    } else if (layout.migration !== null) {
+      progress = await this.withRetry(async () => {
+        return this.deserializeValue(await this.kv.get(this.migrationKey()));
+      }, 'get migration progress');
+      if (progress === null) {
+        throw new Error(`Migration progress of ${this.globalPrefix} is missing`);
+      }
+    } else if (layout.version === 1) {
+      progress = { kind: 'migration', phase: 'copy', pending: [[]], nodes: 0, keys: 0, ambiguousPaths: [] };
+    } else {
+      return {
+        fromVersion: layout.version, toVersion: LAYOUT_VERSION, phase: 'done',
+        nodes: 0, keys: 0, ambiguousPaths: [], done: true, cursor: null
+      };
+    }
+
+    if (!dryRun && layout.migration === null) {
+      // Writes are refused from here until every node is copied
+      await this.writeMigration(progress);
+      await this.writeLayout({ version: 1, migration: 'copy' });
+    }
+
+    for (let handled = 0; handled < limit && progress.pending.length > 0; handled++) {
+      const pathArray = progress.pending.shift();
+      const { keys, children } = await this.migrateNodeKeys(pathArray, progress.phase, dryRun);
+      progress.nodes++;
+      progress.keys += keys;
+      if (progress.phase === 'copy' && pathArray.some(key => String(key).includes('::'))) {
+        progress.ambiguousPaths.push(pathArray);
+      }
+      progress.pending.push(...children.map(childKey => [...pathArray, childKey]));
+    }
+
+    // A dry run reports on the copy only, as the cleanup walks the same nodes
+    const walked = progress.pending.length === 0;
+    const done = walked && (dryRun || progress.phase === 'cleanup');
+    if (!dryRun) {
+      if (done) {
+        await this.writeLayout({ version: LAYOUT_VERSION, migration: null });
+        await this.withRetry(async () => {
+          await this.kv.delete(this.migrationKey());
+        }, 'delete migration progress');
+      } else if (walked) {
+        // Every node is copied: switch layouts, then delete the old keys
+        await this.writeMigration({ ...progress, phase: 'cleanup', pending: [[]], nodes: 0, keys: 0 });
+        await this.writeLayout({ version: LAYOUT_VERSION, migration: 'cleanup' });
+        this.cache?.invalidateAll();
+      } else {
+        await this.writeMigration(progress);
+      }
+    }
+
+    return {
+      fromVersion: layout.migration === null ? layout.version : 1,
+      toVersion: LAYOUT_VERSION,
+      phase: done ? 'done' : progress.phase,
+      nodes: progress.nodes,
+      keys: progress.keys,
+      ambiguousPaths: progress.ambiguousPaths,
+      done,
+      cursor: dryRun && !done ? this.encodeCursor(progress) : null
+    };
+  }
+
+  /**
+   * Storage key of a running migrateLayout's progress
+   */
+  migrationKey() {
+    return `${this.globalPrefix}-migration`;
+  }
+
+  /**
+   * Record a running migrateLayout's progress: its phase, the paths still
+   * to visit and what it has counted so far
+   */
+  async writeMigration(progress) {
+    await this.withRetry(async () => {
+      await this.kv.put(this.migrationKey(), this.serializeValue(progress));
+    }, 'set migration progress');
+  }
+
+  /**
+   * List the layout 1 keys of a node under a suffix prefix ('child:' or
+   * 'rev:'), as KV list() key entries along with the rest of their name
+   * after the prefix
+   */
+  async listLayoutOneKeys(pathArray, suffix) {
+    const prefix = await this.createStorageKey(pathArray, suffix, 1);
+    const keys = [];
+    let cursor;
+    do {
+      const page = await this.withRetry(async () => {
+        return await this.kv.list({ prefix, cursor });
+      }, `list layout 1 keys for ${pathArray.join('/')}`);
+      keys.push(...page.keys.map(key => ({ ...key, rest: key.name.slice(prefix.length) })));
+      cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor !== undefined);
+    return keys;
+  }
+
+  /**
+   * Copy a node's layout 1 keys to the current layout ('copy') or delete
+   * them ('cleanup'), or with dryRun only count them
+   * Returns { keys, children }: the number of keys and the node's child names
+   * (from its child entries and any legacy children list). A node that has
+   * gone (expired, say) has neither
+   */
+  async migrateNodeKeys(pathArray, phase, dryRun) {
+    const valueKey = await this.createStorageKey(pathArray, 'value', 1);
+    const { value, metadata } = await this.withRetry(async () => {
+      return await this.kv.getWithMetadata(valueKey);
+    }, `get layout 1 value for ${pathArray.join('/')}`);
+    if (value === null) {
+      return { keys: 0, children: [] };
+    }
+
+    const childrenKey = await this.createStorageKey(pathArray, 'children', 1);
+    const legacyChildren = await this.withRetry(async () => {
+      return await this.kv.get(childrenKey);
+    }, `get legacy children for ${pathArray.join('/')}`);
+    const entries = await this.listLayoutOneKeys(pathArray, 'child:');
+    const revisions = await this.listLayoutOneKeys(pathArray, 'rev:');
+
+    const entryNames = entries.map(entry => entry.rest);
+    const legacyNames = (this.deserializeValue(legacyChildren) || [])
+      .filter(childKey => !entryNames.includes(childKey));
+    const children = [...entryNames, ...legacyNames];
+
+    const keys = [valueKey, ...entries.map(entry => entry.name), ...revisions.map(entry => entry.name)];
+    if (pathArray.length > 0) {
+      keys.push(await this.createStorageKey(pathArray, 'parent', 1));
+    }
+    if (legacyChildren !== null) {
+      keys.push(childrenKey);
+    }
+
+    if (dryRun) {
+      return { keys: keys.length, children };
+    }
+
+    if (phase === 'cleanup') {
+      for (const key of keys) {
+        await this.withRetry(async () => {
+          await this.kv.delete(key);
+        }, `delete key ${key}`);
+      }
+      return { keys: keys.length, children };
+    }
+
+    // Links and revisions expire with the node, as they were written to;
+    // KV refuses expirations too near, so those are put off a little
+    const expiringAt = expiration => (expiration === null || expiration === undefined)
+      ? {}
+      : { expiration: Math.max(expiration, Math.floor(Date.now() / 1000) + MIN_TTL_SECONDS) };
+    const nodeExpiring = expiringAt(metadata?.expiration);
+    const copy = async (key, serialized, putOptions) => {
+      await this.withRetry(async () => {
+        await this.kv.put(key, serialized, putOptions);
+      }, `copy key to ${key}`);
+    };
+
+    await copy(
+      await this.createStorageKey(pathArray, 'value', LAYOUT_VERSION),
+      value,
+      { ...nodeExpiring, metadata: metadata ?? { version: 1 } }
+    );
+    if (pathArray.length > 0) {
+      await copy(
+        await this.createStorageKey(pathArray, 'parent', LAYOUT_VERSION),
+        this.serializeValue(pathArray.slice(0, -1)),
+        nodeExpiring
+      );
+    }
+
+    const entryPrefix = await this.createStorageKey(pathArray, 'child:', LAYOUT_VERSION);
+    for (const entry of entries) {
+      await copy(`${entryPrefix}${entry.rest}`, this.serializeValue(entry.rest), expiringAt(entry.expiration));
+    }
+    for (const childKey of legacyNames) {
+      await copy(`${entryPrefix}${childKey}`, this.serializeValue(childKey), {});
+    }
+
+    const revisionPrefix = await this.createStorageKey(pathArray, 'rev:', LAYOUT_VERSION);
+    for (const revision of revisions) {
+      const stored = await this.withRetry(async () => {
+        return await this.kv.getWithMetadata(revision.name);
+      }, `get layout 1 revision ${revision.name}`);
+      if (stored.value !== null) {
+        await copy(`${revisionPrefix}${revision.rest}`, stored.value, {
+          ...nodeExpiring,
+          metadata: stored.metadata ?? {}
+        });
+      }
+    }
+
+    return { keys: keys.length, children };
+  }
+
+  /**
+   * Check the tree's keys for the damage partial failures leave behind, and
+   * with options.repair fix what is found
+   * The tree is walked from the root (reserved records included), checking
+   * that every child entry leads to a node and that every node's parent key
+   * names its real parent. Unless options.scan is false, every key under the
+   * tree's prefix is then listed to find what the walk never reached:
+   * orphaned nodes, whose value key no child entry leads to, and stray keys
+   * left by nodes that are gone. An orphan whose path can be recovered (from
+   * the parent keys of its own orphaned children) and whose parent exists is
+   * linked back in; other orphans and stray keys are removed
+   * Returns { nodes, keys, issues, repaired }: the number of nodes walked and
+   * keys listed (null without a scan), and the issues found, each one of
+   *   { type: 'dangling-child', path }  a child entry with no node behind it
+   *   { type: 'missing-parent', path }  a node without a parent key
+   *   { type: 'wrong-parent', path, recordedParent }
+   *   { type: 'orphan', path, hash, keys, action }  path is null if it cannot
+   *       be recovered, and action is 'relink' or 'remove'
+   *   { type: 'stray-keys', hash, keys }
+   */
+  async fsck(options = {}) {
+    const { repair = false, scan = true } = options;
+    if (repair) {
+      await this.checkWritable();
+    }
+    const { version } = await this.readLayout();
+    const issues = [];
+    // Hashes of the nodes reached from the root
+    const reachable = new Set();
+    let nodes = 0;
+
+    const readRaw = async key => await this.withRetry(async () => {
+      return await this.kv.getWithMetadata(key);
+    }, `get key ${key}`);
+
+    const walk = async startPath => {
+      const queue = [startPath];
+      while (queue.length > 0) {
+        const pathArray = queue.shift();
+        const { metadata } = await readRaw(await this.createStorageKey(pathArray, 'value'));
+        const expiration = metadata?.expiration ?? null;
+        reachable.add(await this.hashPath(pathArray, version));
+        nodes++;
+
+        if (pathArray.length > 0) {
+          const parentKey = await this.createStorageKey(pathArray, 'parent');
+          const expected = this.serializeValue(pathArray.slice(0, -1));
+          const { value: recorded } = await readRaw(parentKey);
+          if (recorded !== expected) {
+            issues.push(recorded === null
+              ? { type: 'missing-parent', path: pathArray }
+              : { type: 'wrong-parent', path: pathArray, recordedParent: this.deserializeValue(recorded) });
+            if (repair) {
+              await this.withRetry(async () => {
+                await this.kv.put(parentKey, expected, expiration === null ? {} : { expiration });
+              }, `set parent key for ${pathArray.join('/')}`);
+            }
+          }
+        }
+
+        for (const childKey of await this.readChildNames(pathArray, { includeReserved: true })) {
+          const childPath = [...pathArray, childKey];
+          const { value } = await readRaw(await this.createStorageKey(childPath, 'value'));
+          if (value !== null) {
+            queue.push(childPath);
+            continue;
+          }
+          issues.push({ type: 'dangling-child', path: childPath });
+          if (repair) {
+            await this.removeChildFromParent(pathArray, childKey);
+          }
+        }
+      }
+    };
+
+    const rootKey = await this.createStorageKey([], 'value');
+    if ((await readRaw(rootKey)).value === null) {
+      // Everything would look orphaned; initializeRoot has not run
+      throw nodeNotFound([]);
+    }
+    await walk([]);
+    if (!scan) {
+      this.cache?.invalidateAll();
+      return { nodes, keys: null, issues, repaired: repair };
+    }
+
+    // Group the keys the walk did not reach by the hash they are stored under
+    const keyPrefix = version === 1 ? `${this.globalPrefix}-` : `${this.globalPrefix}-v${version}-`;
+    const hashLength = version === 1 ? 64 : 43;
+    const hashPattern = version === 1 ? /^[0-9a-f]{64}-/ : /^[A-Za-z0-9_-]{43}-/;
+    const unreached = new Map();
+    let keys = 0;
+    let cursor;
+    do {
+      const page = await this.withRetry(async () => {
+        return await this.kv.list({ prefix: keyPrefix, cursor });
+      }, `list keys under ${keyPrefix}`);
+      for (const { name } of page.keys) {
+        const rest = name.slice(keyPrefix.length);
+        // Layout 1's prefix also covers the tree's layout records
+        if (!hashPattern.test(rest)) {
+          continue;
+        }
+        keys++;
+        const hash = rest.slice(0, hashLength);
+        if (reachable.has(hash)) {
+          continue;
+        }
+        const group = unreached.get(hash) ?? { keys: [], hasValue: false, parentKey: null };
+        const suffix = rest.slice(hashLength + 1);
+        group.keys.push(name);
+        if (suffix === 'value') {
+          group.hasValue = true;
+        } else if (suffix === 'parent') {
+          group.parentKey = name;
+        }
+        unreached.set(hash, group);
+      }
+      cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor !== undefined);
+
+    // Orphans' paths, as recorded in the parent keys of their children
+    const recovered = new Map();
+    for (const group of unreached.values()) {
+      if (group.parentKey !== null) {
+        const { value } = await readRaw(group.parentKey);
+        const parentPath = this.deserializeValue(value);
+        if (Array.isArray(parentPath)) {
+          recovered.set(await this.hashPath(parentPath, version), parentPath);
+        }
+      }
+    }
+
+    // Link back orphans whose parent is reached, until no more can be
+    let relinked;
+    do {
+      relinked = false;
+      for (const [hash, group] of unreached) {
+        const pathArray = recovered.get(hash);
+        if (reachable.has(hash) || !group.hasValue || pathArray === undefined || pathArray.length === 0 ||
+            !reachable.has(await this.hashPath(pathArray.slice(0, -1), version))) {
+          continue;
+        }
+        issues.push({ type: 'orphan', path: pathArray, hash, keys: group.keys.length, action: 'relink' });
+        if (repair) {
+          const { metadata } = await readRaw(await this.createStorageKey(pathArray, 'value'));
+          await this.writeNodeLinks(pathArray, metadata?.expiration ?? null);
+        }
+        await walk(pathArray);
+        relinked = true;
+      }
+    } while (relinked);
+
+    for (const [hash, group] of unreached) {
+      if (reachable.has(hash)) {
+        continue;
+      }
+      issues.push(group.hasValue
+        ? { type: 'orphan', path: recovered.get(hash) ?? null, hash, keys: group.keys.length, action: 'remove' }
+        : { type: 'stray-keys', hash, keys: group.keys.length });
+      if (repair) {
+        for (const key of group.keys) {
+          await this.withRetry(async () => {
+            await this.kv.delete(key);
+          }, `delete key ${key}`);
+        }
+      }
+    }
+
+    // Repairs went round the cache
+    this.cache?.invalidateAll();
+    return { nodes, keys, issues, repaired: repair };
+  }
+
   /**
    * Batch operations for efficiency
    */
@@ -579,6 +2576,224 @@ class KVTreeStorage {
     }
   }
 
+  /**
+   * Run an ordered list of operations, each one of
+   *   { op: 'set', path, value, createParents, valueType, ttl }
+   *   { op: 'create', path, value, valueType, ttl }
+   *   { op: 'delete', path }
+   *   { op: 'move' | 'copy', source, targetParent, newName }
+   * with the same meaning as setValue, createNode, deleteNode, moveNode and
+   * copySubtree
+   * options.lockToken is passed to every lock check
+   * By default the batch stops at the first failing op, leaving earlier ones
+   * applied; with options.continueOnError it carries on past failures. With
+   * options.atomic every op is checked up front against the tree as the ops
+   * before it would leave it, and if one still fails the ops applied before
+   * it are undone and the failure is thrown. Deleted subtrees are restored
+   * with their values but not their history or expiration
+   * Returns one result per op: { ok: true, op, ... } with what the operation
+   * returned, { ok: false, op, error: { message } } for a failure, or
+   * { ok: false, op, skipped: true } for an op after one that failed
+   */
+  async batch(ops, options = {}) {
+    const { atomic = false, continueOnError = false, lockToken } = options;
+    if (atomic && continueOnError) {
+      throw new Error('A batch cannot be both atomic and continueOnError');
+    }
+    ops.forEach((op, index) => {
+      if (!BATCH_OPS.includes(op.op)) {
+        throw new Error(`Batch op ${index} has unknown op: ${op.op}`);
+      }
+    });
+
+    if (atomic) {
+      await this.validateBatch(ops, lockToken);
+    }
+
+    const results = [];
+    const undo = [];
+    for (const [index, op] of ops.entries()) {
+      try {
+        results.push({ ok: true, op: op.op, ...await this.applyBatchOp(op, lockToken, atomic ? undo : null) });
+      } catch (error) {
+        if (atomic) {
+          const failures = await this.undoBatch(undo);
+          throw new Error(`Batch op ${index} (${op.op}) failed: ${error.message}; ` + (failures.length === 0
+            ? 'earlier ops were rolled back'
+            : `rolling back earlier ops failed: ${failures.join('; ')}`));
+        }
+        results.push({ ok: false, op: op.op, error: { message: error.message } });
+        if (!continueOnError) {
+          results.push(...ops.slice(index + 1).map(skipped => ({ ok: false, op: skipped.op, skipped: true })));
+          break;
+        }
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Check a batch before running any of it: values, TTLs and locks, and
+   * whether each op's nodes exist (or not) once the ops before it have run
+   */
+  async validateBatch(ops, lockToken) {
+    // What the ops so far have done, oldest first: { created }, { removed }
+    // or { grafted, from } for a subtree copied from another path
+    const effects = [];
+    const exists = async (pathArray, upTo = effects.length) => {
+      for (let i = upTo - 1; i >= 0; i--) {
+        const effect = effects[i];
+        if (effect.removed && isWithin(pathArray, effect.removed)) {
+          return false;
+        }
+        if (effect.created && this.serializeValue(effect.created) === this.serializeValue(pathArray)) {
+          return true;
+        }
+        if (effect.grafted && isWithin(pathArray, effect.grafted)) {
+          return await exists([...effect.from, ...pathArray.slice(effect.grafted.length)], i);
+        }
+      }
+      return await this.nodeExists(pathArray);
+    };
+
+    for (const [index, op] of ops.entries()) {
+      const fail = message => {
+        throw new Error(`Batch op ${index} (${op.op}) would fail: ${message}`);
+      };
+      if (op.op === 'set' || op.op === 'create') {
+        this.checkValueType(op.value ?? null, op.valueType);
+        this.checkTtl(op.path, op.ttl);
+        await this.checkLocks(op.path, lockToken);
+      }
+
+      if (op.op === 'set') {
+        if (!await exists(op.path)) {
+          if (!op.createParents) {
+            fail(nodeNotFound(op.path).message);
+          }
+          op.path.forEach((_key, depth) => effects.push({ created: op.path.slice(0, depth + 1) }));
+        }
+      } else if (op.op === 'create') {
+        if (await exists(op.path)) {
+          fail(`Node already exists: ${op.path.join('/')}`);
+        }
+        if (!await exists(op.path.slice(0, -1))) {
+          fail(`Parent node does not exist: ${op.path.slice(0, -1).join('/')}`);
+        }
+        effects.push({ created: op.path });
+      } else if (op.op === 'delete') {
+        if (op.path.length === 0) {
+          fail('Cannot delete root node');
+        }
+        if (!await exists(op.path)) {
+          fail(nodeNotFound(op.path).message);
+        }
+        await this.checkLocks(op.path, lockToken, { subtree: true });
+        effects.push({ removed: op.path });
+      } else {
+        const target = batchTarget(op);
+        if (op.op === 'move' && op.source.length === 0) {
+          fail('Cannot move root node');
+        }
+        try {
+          this.checkSubtreeTarget(op.op, op.source, op.targetParent, target[target.length - 1]);
+        } catch (error) {
+          fail(error.message);
+        }
+        if (!await exists(op.source)) {
+          fail(`Source node does not exist: ${op.source.join('/')}`);
+        }
+        if (!await exists(op.targetParent)) {
+          fail(`Target parent does not exist: ${op.targetParent.join('/')}`);
+        }
+        if (await exists(target)) {
+          fail(`Target path already exists: ${target.join('/')}`);
+        }
+        if (op.op === 'move') {
+          await this.checkLocks(op.source, lockToken, { subtree: true });
+        }
+        await this.checkLocks(target, lockToken);
+        effects.push({ grafted: target, from: op.source });
+        if (op.op === 'move') {
+          effects.push({ removed: op.source });
+        }
+      }
+    }
+  }
+
+  /**
+   * Run one batch op, returning its result; with an undo list, the steps
+   * that would undo it are appended there
+   */
+  async applyBatchOp(op, lockToken, undo) {
+    if (op.op === 'set') {
+      await this.checkLocks(op.path, lockToken);
+      const current = undo === null ? null : await this.readValueRecord(op.path);
+      const { created, version } = await this.setValue(op.path, op.value ?? null, {
+        createParents: op.createParents ?? false,
+        valueType: op.valueType,
+        ttl: op.ttl
+      });
+      if (created.length > 0) {
+        undo?.push(() => this.deleteNode(created[0]));
+      } else if (current !== null) {
+        // Put back the old expiration too, if the op replaced it
+        const ttl = op.ttl === undefined || op.ttl === null
+          ? undefined
+          : (current.expiration === null
+            ? 0
+            : Math.max(current.expiration - Math.floor(Date.now() / 1000), MIN_TTL_SECONDS));
+        undo?.push(() => this.setValue(op.path, current.value, { ttl }));
+      }
+      return { path: op.path, version, created };
+    }
+
+    if (op.op === 'create') {
+      await this.checkLocks(op.path, lockToken);
+      await this.createNode(op.path, op.value ?? null, { valueType: op.valueType, ttl: op.ttl });
+      undo?.push(() => this.deleteNode(op.path));
+      return { path: op.path, version: 1 };
+    }
+
+    if (op.op === 'delete') {
+      await this.checkLocks(op.path, lockToken, { subtree: true });
+      const subtree = undo === null ? null : await this.exportTree(op.path);
+      await this.deleteNode(op.path);
+      undo?.push(() => this.importTree(subtree, op.path));
+      return { path: op.path };
+    }
+
+    const target = batchTarget(op);
+    if (op.op === 'move') {
+      await this.checkLocks(op.source, lockToken, { subtree: true });
+      await this.checkLocks(target, lockToken);
+      await this.moveNode(op.source, op.targetParent, target[target.length - 1]);
+      undo?.push(() => this.moveNode(target, op.source.slice(0, -1), op.source[op.source.length - 1]));
+      return { from: op.source, to: target };
+    }
+
+    await this.checkLocks(target, lockToken);
+    await this.copySubtree(op.source, op.targetParent, target[target.length - 1]);
+    undo?.push(() => this.deleteNode(target));
+    return { from: op.source, to: target };
+  }
+
+  /**
+   * Run a batch's undo steps, latest first, carrying on past failures
+   * Returns the failure messages
+   */
+  async undoBatch(undo) {
+    const failures = [];
+    for (const step of [...undo].reverse()) {
+      try {
+        await step();
+      } catch (error) {
+        failures.push(error.message);
+      }
+    }
+    return failures;
+  }
+
   /**
    * Export tree to JSON structure
    */
@@ -598,28 +2813,398 @@ class KVTreeStorage {
     return result;
   }
 
+  /**
+   * Export one page of a subtree, depth-first in name order
+   * Returns { tree, cursor }, where tree has the exportTree shape but holds
+   * only the nodes in this page: nodes exported by earlier pages appear as
+   * containers without a value, so deep-merging the pages gives the full
+   * export. Pass cursor back as options.cursor for the next page
+   */
+  async exportTreePage(pathArray = [], options = {}) {
+    const { limit = 1000, cursor = null } = options;
+    const after = cursor === null ? null : this.decodeCursor(cursor, 'depth-first').after;
+
+    if (!await this.nodeExists(pathArray)) {
+      throw nodeNotFound(pathArray);
+    }
+
+    const { page, cursor: nextCursor } = await this.readPage(
+      this.walkSubtree(pathArray, { after }),
+      { limit, kind: 'depth-first' }
+    );
+
+    const tree = {};
+    for (const { node, relativePath } of page) {
+      let target = tree;
+      for (const childKey of relativePath) {
+        target.children ??= {};
+        target.children[childKey] ??= {};
+        target = target.children[childKey];
+      }
+      target.value = node.value;
+      target.children ??= {};
+    }
+
+    return { tree, cursor: nextCursor };
+  }
+
   /**
    * Import tree from JSON structure
+   * options.mode decides what happens to nodes that already exist:
+   * 'merge' (default) overwrites their values, 'skip-existing' leaves them
+   * untouched and 'replace' deletes the existing subtree first. Nodes whose
+   * data has no value are created with null but never overwritten.
+   * Returns counts of { created, updated, skipped } nodes
+   */
+  async importTree(treeData, pathArray = [], options = {}) {
+    const { mode = 'merge' } = options;
+    if (!IMPORT_MODES.includes(mode)) {
+      throw new Error(`Unknown import mode: ${mode}`);
+    }
+    // Checked before replace clears anything; importNode checks each node too
+    this.checkImportPath(treeData, pathArray);
+
+    if (mode === 'replace') {
+      await this.clearSubtree(pathArray);
+    }
+
+    const counts = { created: 0, updated: 0, skipped: 0 };
+    await this.importNode(treeData, pathArray, mode, counts);
+    return counts;
+  }
+
+  /**
+   * Import one node of a tree structure and then its children
    */
-  async importTree(treeData, pathArray = []) {
+  async importNode(treeData, pathArray, mode, counts) {
+    this.checkImportPath(treeData, pathArray);
+    const current = await this.readValueRecord(pathArray);
+
     // Create/update current node
-    if (pathArray.length === 0) {
-      await this.initializeRoot();
-      if (treeData.value !== undefined) {
-        await this.setValue([], treeData.value);
-      }
+    if (current === null) {
+      await this.createNode(pathArray, treeData.value ?? null);
+      counts.created++;
+    } else if (mode === 'skip-existing' || treeData.value === undefined ||
+      this.serializeValue(treeData.value) === this.serializeValue(current.value)) {
+      counts.skipped++;
     } else {
-      await this.createNode(pathArray, treeData.value);
+      await this.setValue(pathArray, treeData.value);
+      counts.updated++;
     }
-    
+
     // Import children
     if (treeData.children) {
       for (const [childKey, childData] of Object.entries(treeData.children)) {
         const childPath = [...pathArray, childKey];
-        await this.importTree(childData, childPath);
+        await this.importNode(childData, childPath, mode, counts);
+      }
+    }
+  }
+
+  /**
+   * Refuse imported data that would land under the reserved root child,
+   * where it could overwrite the tree's grants, locks and snapshots
+   */
+  checkImportPath(treeData, pathArray) {
+    if (this.isReservedPath(pathArray) ||
+        (pathArray.length === 0 && Object.keys(treeData.children ?? {}).includes(RESERVED_ROOT))) {
+      throw new Error(`Path is reserved: /${RESERVED_ROOT}`);
+    }
+  }
+
+  /**
+   * Delete a subtree ahead of replacing it
+   * The root itself cannot be deleted, so clearing it deletes its children
+   */
+  async clearSubtree(pathArray) {
+    if (pathArray.length > 0) {
+      if (await this.nodeExists(pathArray)) {
+        await this.deleteNode(pathArray);
+      }
+      return;
+    }
+
+    for (const childKey of await this.readChildNames([])) {
+      await this.deleteNode([childKey]);
+    }
+  }
+
+  /**
+   * Capture the subtree at pathArray as a named snapshot
+   * The snapshot holds an exportTree of the subtree, split into chunks, and
+   * is described by { name, path, createdAt, session, nodeCount, chunkCount }
+   * with createdAt in epoch milliseconds, which is returned
+   */
+  async captureSnapshot(name, pathArray = []) {
+    if (typeof name !== 'string' || name === '') {
+      throw new Error('Snapshot name must be a non-empty string');
+    }
+
+    const snapshotPath = [...SNAPSHOTS_PATH, name];
+    if (await this.nodeExists(snapshotPath)) {
+      throw new Error(`Snapshot already exists: ${name}`);
+    }
+
+    const treeData = await this.exportTree(pathArray);
+    const blob = JSON.stringify(treeData);
+    const chunkCount = Math.max(1, Math.ceil(blob.length / SNAPSHOT_CHUNK_LENGTH));
+
+    // Write the chunks before the description, so an interrupted capture
+    // is never listed
+    await this.createPath(snapshotPath);
+    for (let i = 0; i < chunkCount; i++) {
+      const chunk = blob.slice(i * SNAPSHOT_CHUNK_LENGTH, (i + 1) * SNAPSHOT_CHUNK_LENGTH);
+      await this.createNode([...snapshotPath, String(i)], chunk);
+    }
+
+    const snapshot = {
+      name,
+      path: pathArray,
+      createdAt: Date.now(),
+      session: this.session,
+      nodeCount: flattenTree(treeData).size,
+      chunkCount
+    };
+    await this.setValue(snapshotPath, snapshot);
+    return snapshot;
+  }
+
+  /**
+   * List the descriptions of all complete snapshots, in name order
+   */
+  async listSnapshots() {
+    const snapshots = [];
+    for (const name of await this.readChildNames(SNAPSHOTS_PATH)) {
+      const record = await this.readValueRecord([...SNAPSHOTS_PATH, name]);
+      if (record?.value && await this.readAccess(record.value.path) !== null) {
+        snapshots.push(record.value);
       }
     }
+    return snapshots;
+  }
+
+  /**
+   * Read a snapshot as { snapshot, tree }, where snapshot is its description
+   * and tree the captured exportTree structure
+   */
+  async readSnapshot(name) {
+    const snapshotPath = [...SNAPSHOTS_PATH, name];
+    const record = await this.readValueRecord(snapshotPath);
+    if (!record?.value) {
+      throw new Error(`Snapshot does not exist: ${name}`);
+    }
+
+    const snapshot = record.value;
+    await this.checkAccess(snapshot.path, 'read');
+    let blob = '';
+    for (let i = 0; i < snapshot.chunkCount; i++) {
+      blob += await this.getValue([...snapshotPath, String(i)]);
+    }
+
+    return { snapshot, tree: JSON.parse(blob) };
   }
+
+  /**
+   * Delete a snapshot
+   */
+  async deleteSnapshot(name) {
+    const snapshotPath = [...SNAPSHOTS_PATH, name];
+    const record = await this.readValueRecord(snapshotPath);
+    if (record === null) {
+      throw new Error(`Snapshot does not exist: ${name}`);
+    }
+    if (record.value) {
+      await this.checkAccess(record.value.path, 'write');
+    }
+    await this.deleteNode(snapshotPath);
+  }
+
+  /**
+   * Compare a snapshot with the live subtree at pathArray (by default the
+   * path it was captured from)
+   * Returns { added, removed, changed }: nodes only in the live tree, nodes
+   * only in the snapshot, and nodes whose values differ, with absolute paths
+   * @param {string[] | null} [pathArray]
+   */
+  async diffSnapshot(name, pathArray = null) {
+    const { snapshot, tree } = await this.readSnapshot(name);
+    const targetPath = pathArray ?? snapshot.path;
+    await this.checkAccess(targetPath, 'read');
+
+    const before = flattenTree(tree);
+    const after = await this.nodeExists(targetPath)
+      ? flattenTree(await this.exportTree(targetPath))
+      : new Map();
+
+    const added = [];
+    const removed = [];
+    const changed = [];
+
+    for (const [key, node] of before) {
+      const path = [...targetPath, ...node.path];
+      const live = after.get(key);
+      if (live === undefined) {
+        removed.push({ path, value: node.value });
+      } else if (this.serializeValue(live.value) !== this.serializeValue(node.value)) {
+        changed.push({ path, snapshotValue: node.value, liveValue: live.value });
+      }
+    }
+    for (const [key, node] of after) {
+      if (!before.has(key)) {
+        added.push({ path: [...targetPath, ...node.path], value: node.value });
+      }
+    }
+
+    return { added, removed, changed };
+  }
+
+  /**
+   * Restore a snapshot into the subtree at options.path (by default the
+   * path it was captured from)
+   * options.mode is an importTree mode, 'replace' by default
+   * Returns { path, created, updated, skipped }
+   */
+  async restoreSnapshot(name, options = {}) {
+    const { mode = 'replace', path = null } = options;
+    const { snapshot, tree } = await this.readSnapshot(name);
+    const targetPath = path ?? snapshot.path;
+    await this.checkAccess(targetPath, 'write');
+
+    const counts = await this.importTree(tree, targetPath, { mode });
+    return { path: targetPath, ...counts };
+  }
+}
+
+/**
+ * Access each operation needs, as [path, level] pairs worked out from its
+ * arguments. Operations needing none still touch the tree's own records, so
+ * they are listed to run on a checked view; the snapshot operations among
+ * them check the snapshot's path themselves
+ */
+const readsPath = (pathArray = []) => [[pathArray, 'read']];
+const writesPath = (pathArray) => [[pathArray, 'write']];
+const needsNone = () => [];
+const ACCESS_RULES = {
+  initializeRoot: needsNone,
+  registerNamespace: needsNone,
+  listNamespaces: needsNone,
+  unregisterNamespace: needsNone,
+  purgeStorage: () => [[[], 'admin']],
+  listLocks: needsNone,
+  checkLocks: needsNone,
+  listSnapshots: needsNone,
+  readSnapshot: needsNone,
+  deleteSnapshot: needsNone,
+  diffSnapshot: needsNone,
+  restoreSnapshot: needsNone,
+  migrateLayout: () => [[[], 'admin']],
+  fsck: () => [[[], 'admin']],
+  nodeExists: readsPath,
+  getValue: readsPath,
+  getVersionedValue: readsPath,
+  readValueRecord: readsPath,
+  listHistory: readsPath,
+  readAsOf: readsPath,
+  getChildren: readsPath,
+  readChildNames: readsPath,
+  listChildren: readsPath,
+  getNode: readsPath,
+  traverse: readsPath,
+  traversePage: readsPath,
+  getStats: readsPath,
+  exportTree: readsPath,
+  exportTreePage: readsPath,
+  captureSnapshot: (_name, pathArray) => readsPath(pathArray),
+  findNodes: (_predicate, startPath) => readsPath(startPath),
+  searchNodes: (_filter, startPath) => readsPath(startPath),
+  queryNodes: (segments, options = {}) => readsPath(patternPrefix(segments, options.startPath)),
+  createNode: writesPath,
+  createPath: writesPath,
+  setValue: writesPath,
+  compareAndSet: writesPath,
+  compareAndDelete: writesPath,
+  revertNode: writesPath,
+  deleteNode: writesPath,
+  acquireLock: writesPath,
+  renewLock: writesPath,
+  releaseLock: writesPath,
+  importTree: (_treeData, pathArray = []) => writesPath(pathArray),
+  batchCreateNodes: nodeSpecs => nodeSpecs.map(spec => [spec.path, 'write']),
+  batch: ops => ops.flatMap(op => {
+    if (op.op === 'move' || op.op === 'copy') {
+      return [[op.source, op.op === 'move' ? 'write' : 'read'], [batchTarget(op), 'write']];
+    }
+    return writesPath(op.path);
+  }),
+  moveNode: (sourcePath, targetParentPath, newKey) => [
+    [sourcePath, 'write'],
+    [[...targetParentPath, newKey], 'write']
+  ],
+  copySubtree: (sourcePath, targetParentPath, newKey) => [
+    [sourcePath, 'read'],
+    [[...targetParentPath, newKey], 'write']
+  ],
+  grantAccess: pathArray => [[pathArray, 'admin']],
+  revokeAccess: pathArray => [[pathArray, 'admin']],
+  listGrants: (pathArray = []) => [[pathArray, 'admin']]
+};
+
+// Check access once, on the operation called from outside; the operations
+// it runs in turn (reading parents, writing lock and snapshot records, ...)
+// run on a checked view and are not checked again
+for (const [method, rule] of Object.entries(ACCESS_RULES)) {
+  const operation = KVTreeStorage.prototype[method];
+  KVTreeStorage.prototype[method] = async function (...args) {
+    if (this.principal === null || this.accessChecked) {
+      return await operation.apply(this, args);
+    }
+    // Grants are read afresh for each operation, and forgotten after it so
+    // checks made between operations (checkAccess) read them afresh too
+    this.acl.records = null;
+    try {
+      for (const [pathArray, access] of rule(...args)) {
+        await this.checkAccess(pathArray, access);
+      }
+      return await operation.apply(this.checkedView(), args);
+    } finally {
+      this.acl.records = null;
+    }
+  };
+}
+
+// Operations that write to the tree, refused while it is being copied to a
+// new key layout (see migrateLayout)
+const WRITE_OPERATIONS = [
+  'createNode',
+  'createPath',
+  'setValue',
+  'compareAndSet',
+  'compareAndDelete',
+  'revertNode',
+  'deleteNode',
+  'moveNode',
+  'copySubtree',
+  'acquireLock',
+  'renewLock',
+  'releaseLock',
+  'grantAccess',
+  'revokeAccess',
+  'batchCreateNodes',
+  'batch',
+  'importTree',
+  'captureSnapshot',
+  'deleteSnapshot',
+  'restoreSnapshot',
+  'registerNamespace',
+  'unregisterNamespace'
+];
+
+for (const method of WRITE_OPERATIONS) {
+  const operation = KVTreeStorage.prototype[method];
+  KVTreeStorage.prototype[method] = async function (...args) {
+    await this.checkWritable();
+    return await operation.apply(this, args);
+  };
 }
 
 // Export for use in Cloudflare Workers
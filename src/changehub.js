@@ -0,0 +1,252 @@
+/**
+ * Change Feed Hub
+ * A single Durable Object that fans tree change events out to subscribers:
+ * WebSocket and SSE clients of the Worker's /changes endpoint, and MCP
+ * sessions subscribed to kvtree:// resources (which name global tree nodes)
+ * Events carry the namespace they happened in, and subscribers only hear
+ * about their own namespace
+ */
+import { DurableObject } from 'cloudflare:workers';
+import { PathParser } from './pathparser.js';
+
+const pathParser = new PathParser();
+
+// Storage key prefix of MCP session subscriptions, one key per session
+// holding the subscribed paths
+const SESSION_PREFIX = 'session:';
+
+// Namespace of the shared global tree
+const GLOBAL_NAMESPACE = 'global';
+
+// Interval between SSE keep-alive comments, so idle streams are not dropped
+const KEEPALIVE_MS = 30 * 1000;
+
+/**
+ * Check whether a path is equal to or inside another
+ */
+function isWithin(pathArray, ancestorPath) {
+  return ancestorPath.length <= pathArray.length &&
+    ancestorPath.every((key, index) => pathArray[index] === key);
+}
+
+/**
+ * Whether a change event concerns subscribers to the subtree at pathArray:
+ * it changed a node inside the subtree, moved a node into it, or deleted or
+ * moved away the subtree itself along with an ancestor
+ */
+function affectsSubtree(event, pathArray) {
+  return isWithin(event.path, pathArray) ||
+    (event.targetPath !== undefined && isWithin(event.targetPath, pathArray)) ||
+    ((event.op === 'delete' || event.op === 'move') && isWithin(pathArray, event.path));
+}
+
+// Fields of a change event a subscriber below its path does not get, see
+// visibleChange
+const ANCESTOR_FIELDS = ['oldValue', 'newValue', 'targetPath'];
+
+/**
+ * The part of a change event that subscribers to the subtrees at paths may
+ * see. Subscribers were checked for read access to their subtrees only, so
+ * when the event is the delete or move of an ancestor of all of them they
+ * learn that the ancestor went, but not its value or where it moved to
+ */
+function visibleChange(event, paths) {
+  const inside = paths.some(pathArray => isWithin(event.path, pathArray) ||
+    (event.targetPath !== undefined && isWithin(event.targetPath, pathArray)));
+  return inside
+    ? event
+    : Object.fromEntries(Object.entries(event).filter(([field]) => !ANCESTOR_FIELDS.includes(field)));
+}
+
+/**
+ * Format a change event for feed subscribers, with its paths as escaped
+ * absolute path strings and its timestamp as an ISO string
+ */
+function formatChange(event) {
+  const formatted = {
+    ...event,
+    path: `/${pathParser.createPath(event.path)}`,
+    timestamp: new Date(event.timestamp).toISOString()
+  };
+  if (event.targetPath !== undefined) {
+    formatted.targetPath = `/${pathParser.createPath(event.targetPath)}`;
+  }
+  return formatted;
+}
+
+export class ChangeHub extends DurableObject {
+  constructor(ctx, env) {
+    super(ctx, env);
+    // Open SSE streams, each { writer, path, namespace }
+    this.streams = new Set();
+    this.keepalive = null;
+    // Tail of the queued MCP session notifications, which run one publish
+    // at a time so each session hears about changes in order
+    this.notifying = Promise.resolve();
+  }
+
+  /**
+   * Subscribe to the subtree at ?path= (the root by default) in the
+   * ?namespace= namespace (the global one by default)
+   * WebSocket upgrades get one JSON message per change; other requests get
+   * a text/event-stream of 'change' events. WebSockets are accepted with
+   * the hibernation API, so an idle hub need not stay in memory for them
+   */
+  async fetch(request) {
+    const url = new URL(request.url);
+    const pathArray = pathParser.parsePath(url.searchParams.get('path') || '/');
+    const namespace = url.searchParams.get('namespace') || GLOBAL_NAMESPACE;
+
+    if (request.headers.get('Upgrade') === 'websocket') {
+      const [client, server] = Object.values(new WebSocketPair());
+      this.ctx.acceptWebSocket(server);
+      server.serializeAttachment({ path: pathArray, namespace });
+      return new Response(null, { status: 101, webSocket: client });
+    }
+
+    return this.openStream(pathArray, namespace);
+  }
+
+  /**
+   * Open an SSE stream of changes to the subtree at pathArray in namespace
+   */
+  openStream(pathArray, namespace) {
+    const { readable, writable } = new TransformStream();
+    const stream = { writer: writable.getWriter(), path: pathArray, namespace };
+    this.streams.add(stream);
+    this.writeStream(stream, ': subscribed\n\n');
+
+    if (this.keepalive === null) {
+      this.keepalive = setInterval(() => {
+        for (const open of this.streams) {
+          this.writeStream(open, ': keepalive\n\n');
+        }
+      }, KEEPALIVE_MS);
+    }
+
+    return new Response(readable, {
+      headers: {
+        'content-type': 'text/event-stream',
+        'cache-control': 'no-cache'
+      }
+    });
+  }
+
+  /**
+   * Write to an SSE stream, dropping it once the client has gone away
+   */
+  writeStream(stream, text) {
+    stream.writer.write(new TextEncoder().encode(text)).catch(() => {
+      this.streams.delete(stream);
+      if (this.streams.size === 0 && this.keepalive !== null) {
+        clearInterval(this.keepalive);
+        this.keepalive = null;
+      }
+    });
+  }
+
+  /**
+   * Deliver change events, in order, to every subscriber they concern
+   * Sockets and streams are written before returning; MCP sessions are
+   * notified in the background, so a write never waits on them
+   */
+  async publish(events) {
+    for (const socket of this.ctx.getWebSockets()) {
+      const { path, namespace } = socket.deserializeAttachment();
+      for (const event of events) {
+        if (event.namespace === namespace && affectsSubtree(event, path)) {
+          try {
+            socket.send(JSON.stringify(formatChange(visibleChange(event, [path]))));
+          } catch {
+            // The socket is closing; the runtime drops it from getWebSockets
+          }
+        }
+      }
+    }
+
+    for (const stream of this.streams) {
+      for (const event of events) {
+        if (event.namespace === stream.namespace && affectsSubtree(event, stream.path)) {
+          const change = formatChange(visibleChange(event, [stream.path]));
+          this.writeStream(stream, `event: change\ndata: ${JSON.stringify(change)}\n\n`);
+        }
+      }
+    }
+
+    const sessionEvents = events.filter(event => event.namespace === GLOBAL_NAMESPACE);
+    if (sessionEvents.length > 0) {
+      this.notifying = this.notifying
+        .then(() => this.notifySessions(sessionEvents))
+        .catch(error => console.error('Failed to notify MCP sessions', error));
+      this.ctx.waitUntil(this.notifying);
+    }
+  }
+
+  /**
+   * Pass changes on to the MCP sessions subscribed to them
+   * Sessions are notified concurrently, and one whose client has
+   * disconnected loses its subscriptions
+   */
+  async notifySessions(events) {
+    if (events.length === 0) {
+      return;
+    }
+    const sessions = await this.ctx.storage.list({ prefix: SESSION_PREFIX });
+    const namespace = this.env.MCP_OBJECT;
+
+    const deliveries = [...sessions].map(async ([key, paths]) => {
+      const matching = events
+        .filter(event => paths.some(path => affectsSubtree(event, path)))
+        .map(event => visibleChange(event, paths));
+      if (matching.length === 0) {
+        return;
+      }
+      const agent = namespace.get(namespace.idFromString(key.slice(SESSION_PREFIX.length)));
+      let connected = false;
+      try {
+        connected = await agent.notifyChanges(matching);
+      } catch {
+        // Treat an unreachable session like a disconnected one
+      }
+      if (!connected) {
+        await this.ctx.storage.delete(key);
+      }
+    });
+    await Promise.allSettled(deliveries);
+  }
+
+  /**
+   * Subscribe an MCP session, by Durable Object id, to the subtree at pathArray
+   */
+  async subscribe(sessionId, pathArray) {
+    const key = `${SESSION_PREFIX}${sessionId}`;
+    const paths = (await this.ctx.storage.get(key)) ?? [];
+    if (!paths.some(path => JSON.stringify(path) === JSON.stringify(pathArray))) {
+      await this.ctx.storage.put(key, [...paths, pathArray]);
+    }
+  }
+
+  /**
+   * Drop an MCP session's subscription to the subtree at pathArray
+   */
+  async unsubscribe(sessionId, pathArray) {
+    const key = `${SESSION_PREFIX}${sessionId}`;
+    const paths = ((await this.ctx.storage.get(key)) ?? [])
+      .filter(path => JSON.stringify(path) !== JSON.stringify(pathArray));
+    if (paths.length > 0) {
+      await this.ctx.storage.put(key, paths);
+    } else {
+      await this.ctx.storage.delete(key);
+    }
+  }
+
+  webSocketMessage() {
+    // Subscriptions are fixed when the socket is opened
+  }
+
+  webSocketClose(socket, code) {
+    socket.close(code === 1005 ? 1000 : code);
+  }
+}
+
+export default ChangeHub;
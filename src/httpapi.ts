@@ -0,0 +1,566 @@
+import {
+	GLOBAL_NAMESPACE,
+	PRIVATE_NAMESPACE,
+	type TreeErrorCode,
+	checkPath,
+	describeError,
+	formatFsckReport,
+	formatPath,
+	formatUrlPath,
+	openChangeHub,
+	openTree,
+	parsePath,
+	type TreeStorage,
+} from "./treeaccess";
+import {
+	TREE_FORMATS,
+	decodeTree,
+	encodeTree,
+	nodeToNdjsonLine,
+} from "./treeformats.js";
+
+// Plain HTTP endpoints for services that are not MCP clients:
+//
+//   GET    /tree/<path>                  node value, version and ETag
+//   GET    /tree/<path>?children         child names, paged with limit and cursor
+//   PUT    /tree/<path>                  write the JSON body as the node's value
+//   DELETE /tree/<path>                  delete the node and its subtree
+//   POST   /tree/<path>                  { action: "move" | "copy", targetParent, newName? }
+//   GET    /export?path=&format=         nested or flat JSON, or streamed NDJSON
+//   POST   /import?path=&format=&mode=
+//   GET    /changes?path=                change feed for a subtree, over SSE or
+//                                        a WebSocket upgrade
+//   GET    /admin/fsck?scan=             check the tree's consistency
+//   POST   /admin/fsck?scan=             check it and repair what is found
+//
+// <path> is an escaped tree path (as taken by the MCP tools) with each character
+// URL-encoded as needed, e.g. /tree/users/a%5C%2Fb for the node "a/b" under
+// "users". ETags are node versions along with a hash of the value, so a node
+// deleted and created again at the same version does not match an old one;
+// PUT and DELETE honour If-Match, and PUT honours If-None-Match: * to only
+// create. Writes take a lockToken parameter.
+// Export and import formats are nested (default), flat or ndjson; see
+// treeformats.js. Every endpoint takes a namespace parameter, see openTree
+
+// Nodes read from storage per NDJSON chunk
+const EXPORT_PAGE_SIZE = 500;
+
+// Most children listed per ?children page, as in the listChildren tool
+const CHILDREN_PAGE_LIMIT = 1000;
+
+// Most nodes exported as one nested or flat JSON document; larger subtrees
+// are streamed as NDJSON instead, which stays within the Worker's limits
+const JSON_EXPORT_LIMIT = 1000;
+
+function jsonResponse(body: unknown, status = 200): Response {
+	return new Response(JSON.stringify(body), {
+		status,
+		headers: { "content-type": "application/json" },
+	});
+}
+
+// Status codes for error codes, 400 for any other
+const ERROR_STATUSES: Partial<Record<TreeErrorCode, number>> = {
+	NOT_FOUND: 404,
+	PARENT_MISSING: 404,
+	CONFLICT: 409,
+	LOCKED: 423,
+	UNAUTHENTICATED: 401,
+	FORBIDDEN: 403,
+	UNAVAILABLE: 503,
+};
+
+function errorResponse(error: unknown): Response {
+	const described = describeError(error);
+	return jsonResponse(
+		{ error: described },
+		ERROR_STATUSES[described.code] ?? 400,
+	);
+}
+
+type TreeRecord = { value: unknown; version: number };
+
+// ETag of a node's record: its version and the start of the SHA-256 of its
+// serialized value
+async function formatETag(
+	tree: TreeStorage,
+	record: TreeRecord,
+): Promise<string> {
+	const digest = await crypto.subtle.digest(
+		"SHA-256",
+		new TextEncoder().encode(tree.serializeValue(record.value)),
+	);
+	const hash = Array.from(new Uint8Array(digest).slice(0, 8), (byte) =>
+		byte.toString(16).padStart(2, "0"),
+	).join("");
+	return `"${record.version}-${hash}"`;
+}
+
+// Whether a node with etag (null if missing) satisfies an If-Match or
+// If-None-Match header value, which may be * or a list of ETags
+function matchesETag(header: string, etag: string | null): boolean {
+	if (header.trim() === "*") {
+		return etag !== null;
+	}
+	return header
+		.split(",")
+		.map((tag) => tag.trim().replace(/^W\//, ""))
+		.includes(etag ?? "");
+}
+
+function readLockToken(url: URL): string | undefined {
+	return url.searchParams.get("lockToken") ?? undefined;
+}
+
+// Read the limit parameter of a ?children listing, CHILDREN_PAGE_LIMIT when
+// absent
+function readLimit(url: URL): number {
+	const param = url.searchParams.get("limit");
+	if (param === null) {
+		return CHILDREN_PAGE_LIMIT;
+	}
+	const limit = Number(param);
+	if (!Number.isInteger(limit) || limit < 1 || limit > CHILDREN_PAGE_LIMIT) {
+		throw new Error(
+			`limit must be a whole number from 1 to ${CHILDREN_PAGE_LIMIT}`,
+		);
+	}
+	return limit;
+}
+
+async function readJsonBody(request: Request): Promise<unknown> {
+	try {
+		return JSON.parse(await request.text());
+	} catch {
+		throw new Error("Request body must be JSON");
+	}
+}
+
+// Tree path named by a /tree/<path> URL
+function readTreePath(url: URL): string[] {
+	let path: string;
+	try {
+		path = decodeURIComponent(url.pathname.slice("/tree".length));
+	} catch {
+		throw new Error(`Invalid URL encoding in path: ${url.pathname}`);
+	}
+	return parsePath(path);
+}
+
+// Location header value for a tree path
+function treeLocation(pathArr: string[]): string {
+	return `/tree${formatUrlPath(pathArr)}`;
+}
+
+function readNamespace(url: URL): string {
+	return url.searchParams.get("namespace") || GLOBAL_NAMESPACE;
+}
+
+function readFormat(url: URL): string {
+	const format = url.searchParams.get("format") || "nested";
+	if (!TREE_FORMATS.includes(format)) {
+		throw new Error(`Unknown tree format: ${format}`);
+	}
+	return format;
+}
+
+// Stream a subtree as NDJSON, reading it a page at a time so large trees never
+// have to fit in memory
+function streamNdjson(
+	tree: Awaited<ReturnType<typeof openTree>>,
+	pathArr: string[],
+): Response {
+	const encoder = new TextEncoder();
+	let cursor: string | null = null;
+
+	const body = new ReadableStream({
+		async pull(controller) {
+			const page = await tree.traversePage(pathArr, {
+				limit: EXPORT_PAGE_SIZE,
+				cursor,
+			});
+			const lines = page.nodes
+				.map((node: { path: string[]; value: unknown }) =>
+					nodeToNdjsonLine(node.path.slice(pathArr.length), node.value),
+				)
+				.join("");
+			controller.enqueue(encoder.encode(lines));
+			cursor = page.cursor;
+			if (cursor === null) {
+				controller.close();
+			}
+		},
+	});
+
+	return new Response(body, {
+		headers: { "content-type": "application/x-ndjson" },
+	});
+}
+
+async function handleExport(
+	url: URL,
+	env: Env,
+	principal: string | null,
+	ctx: ExecutionContext,
+): Promise<Response> {
+	const pathArr = parsePath(url.searchParams.get("path"));
+	const format = readFormat(url);
+	const tree = await openTree(env, ctx, null, principal, readNamespace(url));
+
+	if (format === "ndjson") {
+		// Fail with a status code before streaming starts
+		if (!(await tree.nodeExists(pathArr))) {
+			throw new Error(`Starting node does not exist: ${formatPath(pathArr)}`);
+		}
+		return streamNdjson(tree, pathArr);
+	}
+
+	const page = await tree.exportTreePage(pathArr, { limit: JSON_EXPORT_LIMIT });
+	if (page.cursor !== null) {
+		throw new Error(
+			`Subtree has over ${JSON_EXPORT_LIMIT} nodes, too many to export as ${format} JSON; use format=ndjson`,
+		);
+	}
+	return jsonResponse(encodeTree(format, page.tree));
+}
+
+async function handleImport(
+	request: Request,
+	url: URL,
+	env: Env,
+	principal: string | null,
+	ctx: ExecutionContext,
+): Promise<Response> {
+	const pathArr = parsePath(url.searchParams.get("path"));
+	const format = readFormat(url);
+	const mode = url.searchParams.get("mode") || "merge";
+	const lockToken = readLockToken(url);
+
+	const text = await request.text();
+	let data: unknown = text;
+	if (format !== "ndjson") {
+		try {
+			data = JSON.parse(text);
+		} catch {
+			throw new Error("Request body must be JSON");
+		}
+	}
+	const treeData = decodeTree(format, data);
+
+	const tree = await openTree(env, ctx, null, principal, readNamespace(url));
+	await tree.checkLocks(pathArr, lockToken, { subtree: mode === "replace" });
+	const counts = await tree.importTree(treeData, pathArr, { mode });
+	return jsonResponse({ path: formatPath(pathArr), imported: true, ...counts });
+}
+
+async function handleGetNode(
+	request: Request,
+	url: URL,
+	env: Env,
+	principal: string | null,
+	ctx: ExecutionContext,
+): Promise<Response> {
+	const pathArr = readTreePath(url);
+	const tree = await openTree(env, ctx, null, principal, readNamespace(url));
+
+	if (url.searchParams.has("children")) {
+		const limit = readLimit(url);
+		const cursor = url.searchParams.get("cursor");
+		const page = await tree.listChildren(pathArr, { limit, cursor });
+		return jsonResponse({ path: formatPath(pathArr), ...page });
+	}
+
+	const record = await tree.readValueRecord(pathArr);
+	if (record === null) {
+		throw new Error(`Node does not exist: ${formatPath(pathArr)}`);
+	}
+	const etag = await formatETag(tree, record);
+	const ifNoneMatch = request.headers.get("if-none-match");
+	if (ifNoneMatch !== null && matchesETag(ifNoneMatch, etag)) {
+		return new Response(null, { status: 304, headers: { etag } });
+	}
+	return new Response(
+		JSON.stringify({ path: formatPath(pathArr), ...record }),
+		{ headers: { "content-type": "application/json", etag } },
+	);
+}
+
+async function handlePutNode(
+	request: Request,
+	url: URL,
+	env: Env,
+	principal: string | null,
+	ctx: ExecutionContext,
+): Promise<Response> {
+	const pathArr = readTreePath(url);
+	const value = await readJsonBody(request);
+	const ttl = url.searchParams.has("ttl")
+		? Number(url.searchParams.get("ttl"))
+		: undefined;
+	const createParents = url.searchParams.get("createParents") === "true";
+	const tree = await openTree(env, ctx, null, principal, readNamespace(url));
+	await tree.checkLocks(pathArr, readLockToken(url));
+
+	const current = await tree.readValueRecord(pathArr);
+	const currentETag = current === null ? null : await formatETag(tree, current);
+	const ifMatch = request.headers.get("if-match");
+	const ifNoneMatch = request.headers.get("if-none-match");
+	if (
+		(ifMatch !== null && !matchesETag(ifMatch, currentETag)) ||
+		(ifNoneMatch !== null && matchesETag(ifNoneMatch, currentETag))
+	) {
+		return preconditionFailed(pathArr, current);
+	}
+	if (
+		current === null &&
+		!createParents &&
+		pathArr.length > 0 &&
+		!(await tree.nodeExists(pathArr.slice(0, -1)))
+	) {
+		throw new Error(
+			`Parent node does not exist: ${formatPath(pathArr.slice(0, -1))}`,
+		);
+	}
+
+	// Writes only if the node is still as the preconditions saw it
+	const result = await tree.compareAndSet(
+		pathArr,
+		value,
+		current === null
+			? { version: 0 }
+			: { version: current.version, value: current.value },
+		{ ttl },
+	);
+	if (!result.ok) {
+		return preconditionFailed(pathArr, await tree.readValueRecord(pathArr));
+	}
+
+	const created = current === null;
+	const headers: Record<string, string> = {
+		"content-type": "application/json",
+		etag: await formatETag(tree, { value, version: result.version }),
+	};
+	if (created) {
+		headers.location = treeLocation(pathArr);
+	}
+	return new Response(
+		JSON.stringify({
+			path: formatPath(pathArr),
+			version: result.version,
+			created: (result.created ?? []).map(formatPath),
+		}),
+		{ status: created ? 201 : 200, headers },
+	);
+}
+
+// 412 response carrying the node's current version, or 0 if it is missing
+function preconditionFailed(
+	pathArr: string[],
+	current: { version: number } | null,
+): Response {
+	const version = current === null ? 0 : current.version;
+	return jsonResponse(
+		{
+			error: {
+				code: "CONFLICT",
+				message: `Precondition failed: ${formatPath(pathArr)} is at version ${version}`,
+			},
+			currentVersion: version,
+		},
+		412,
+	);
+}
+
+async function handleDeleteNode(
+	request: Request,
+	url: URL,
+	env: Env,
+	principal: string | null,
+	ctx: ExecutionContext,
+): Promise<Response> {
+	const pathArr = readTreePath(url);
+	const tree = await openTree(env, ctx, null, principal, readNamespace(url));
+	await tree.checkLocks(pathArr, readLockToken(url), { subtree: true });
+
+	const ifMatch = request.headers.get("if-match");
+	if (ifMatch === null) {
+		await tree.deleteNode(pathArr);
+		return new Response(null, { status: 204 });
+	}
+
+	const current = await tree.readValueRecord(pathArr);
+	const currentETag = current === null ? null : await formatETag(tree, current);
+	if (!matchesETag(ifMatch, currentETag)) {
+		return preconditionFailed(pathArr, current);
+	}
+	// Deletes only if the node is still as the precondition saw it
+	const result = await tree.compareAndDelete(
+		pathArr,
+		current === null
+			? { version: 0 }
+			: { version: current.version, value: current.value },
+	);
+	if (!result.ok) {
+		return preconditionFailed(pathArr, await tree.readValueRecord(pathArr));
+	}
+	return new Response(null, { status: 204 });
+}
+
+// Move or copy the node to { targetParent, newName? }
+async function handlePostNode(
+	request: Request,
+	url: URL,
+	env: Env,
+	principal: string | null,
+	ctx: ExecutionContext,
+): Promise<Response> {
+	const sourceArr = readTreePath(url);
+	const body = await readJsonBody(request);
+	if (body === null || typeof body !== "object") {
+		throw new Error("Request body must be a JSON object");
+	}
+	const { action, targetParent, newName } = body as {
+		action?: unknown;
+		targetParent?: unknown;
+		newName?: unknown;
+	};
+	if (action !== "move" && action !== "copy") {
+		throw new Error('action must be "move" or "copy"');
+	}
+	if (typeof targetParent !== "string") {
+		throw new Error("targetParent must be a path string");
+	}
+	if (newName !== undefined && typeof newName !== "string") {
+		throw new Error("newName must be a string");
+	}
+
+	const targetParentArr = parsePath(targetParent);
+	const name: string | undefined = newName ?? sourceArr[sourceArr.length - 1];
+	const lockToken = readLockToken(url);
+	const tree = await openTree(env, ctx, null, principal, readNamespace(url));
+	// The storage's own check, made before the locks are: throws for the root
+	// without a new name and for targets inside the source
+	tree.checkSubtreeTarget(action, sourceArr, targetParentArr, name);
+	const targetArr = checkPath([...targetParentArr, name as string]);
+
+	if (action === "move") {
+		await tree.checkLocks(sourceArr, lockToken, { subtree: true });
+		await tree.checkLocks(targetArr, lockToken);
+		await tree.moveNode(sourceArr, targetParentArr, name);
+	} else {
+		await tree.checkLocks(targetArr, lockToken);
+		await tree.copySubtree(sourceArr, targetParentArr, name);
+	}
+
+	return new Response(
+		JSON.stringify({ from: formatPath(sourceArr), to: formatPath(targetArr) }),
+		{
+			status: 201,
+			headers: {
+				"content-type": "application/json",
+				location: treeLocation(targetArr),
+			},
+		},
+	);
+}
+
+// Subscribe to changes in a subtree; the change hub serves the stream
+async function handleChanges(
+	request: Request,
+	url: URL,
+	env: Env,
+	principal: string | null,
+	ctx: ExecutionContext,
+): Promise<Response> {
+	const pathArr = parsePath(url.searchParams.get("path"));
+	if (readNamespace(url) === PRIVATE_NAMESPACE) {
+		throw new Error("Changes in the private namespace are not published");
+	}
+	const tree = await openTree(env, ctx, null, principal, readNamespace(url));
+	await tree.checkAccess(pathArr, "read");
+	return openChangeHub(env).fetch(request);
+}
+
+// Check (GET) or repair (POST) the tree's consistency; needs admin access to
+// the root. scan=false skips listing every key
+async function handleFsck(
+	request: Request,
+	url: URL,
+	env: Env,
+	principal: string | null,
+	ctx: ExecutionContext,
+): Promise<Response> {
+	const tree = await openTree(env, ctx, null, principal, readNamespace(url));
+	const report = await tree.fsck({
+		repair: request.method === "POST",
+		scan: url.searchParams.get("scan") !== "false",
+	});
+	return jsonResponse(formatFsckReport(report));
+}
+
+type Handler = (
+	request: Request,
+	url: URL,
+	env: Env,
+	principal: string | null,
+	ctx: ExecutionContext,
+) => Promise<Response>;
+
+// Handlers by route, then by method
+const ROUTES: Record<string, Record<string, Handler>> = {
+	"/tree": {
+		GET: handleGetNode,
+		PUT: handlePutNode,
+		DELETE: handleDeleteNode,
+		POST: handlePostNode,
+	},
+	"/export": {
+		GET: (_request, url, env, principal, ctx) =>
+			handleExport(url, env, principal, ctx),
+	},
+	"/import": { POST: handleImport },
+	"/changes": { GET: handleChanges },
+	"/admin/fsck": { GET: handleFsck, POST: handleFsck },
+};
+
+function routeOf(url: URL): string | null {
+	if (url.pathname === "/tree" || url.pathname.startsWith("/tree/")) {
+		return "/tree";
+	}
+	return url.pathname in ROUTES ? url.pathname : null;
+}
+
+// Whether a request belongs to the HTTP API rather than the MCP endpoints
+export function isTreeRequest(url: URL): boolean {
+	return routeOf(url) !== null;
+}
+
+// Handle a request for which isTreeRequest holds, made by principal (null when
+// auth is off); changes are published in the background of ctx
+export async function handleTreeRequest(
+	request: Request,
+	env: Env,
+	principal: string | null,
+	ctx: ExecutionContext,
+): Promise<Response> {
+	const url = new URL(request.url);
+	const methods = ROUTES[routeOf(url) ?? ""] ?? {};
+	const handler = methods[request.method];
+
+	if (handler === undefined) {
+		return jsonResponse(
+			{
+				error: {
+					code: "INVALID_ARGUMENT",
+					message: `Method not allowed: ${request.method}`,
+				},
+			},
+			405,
+		);
+	}
+	try {
+		return await handler(request, url, env, principal, ctx);
+	} catch (error) {
+		return errorResponse(error);
+	}
+}
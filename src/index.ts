@@ -1,9 +1,40 @@
 import { McpAgent } from "agents/mcp";
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import {
+	McpServer,
+	ResourceTemplate,
+} from "@modelcontextprotocol/sdk/server/mcp.js";
+import {
+	ErrorCode,
+	ListResourcesRequestSchema,
+	McpError,
+	SubscribeRequestSchema,
+	UnsubscribeRequestSchema,
+} from "@modelcontextprotocol/sdk/types.js";
 import { z } from "zod";
 //import { getEnv } from '@repo/mcp-common/src/env'
-import KVTreeStorage from "./cfkvtree.js";
-import { PathParser } from "./pathparser.js";
+import {
+	RESOURCE_SCHEME,
+	type TreeChange,
+	type TreeStorage,
+	checkPath,
+	createTree,
+	describeError,
+	formatFsckReport,
+	formatPath,
+	formatResourceUri,
+	initializeTree,
+	listNamespaces,
+	openChangeHub,
+	purgeNamespace,
+	parsePath,
+	parsePattern,
+	parseResourceUri,
+	pathParser,
+} from "./treeaccess";
+import { TREE_FORMATS, decodeTree, encodeTree } from "./treeformats.js";
+import { TreeCache } from "./treecache.js";
+import { handleTreeRequest, isTreeRequest } from "./httpapi";
+import { authenticate, unauthorizedResponse } from "./auth";
 
 /*interface Env {
 	globaldata: KVNamespace
@@ -12,8 +43,269 @@ import { PathParser } from "./pathparser.js";
 const env = getEnv<Env>();
 */
 
+type JsonValue =
+	| string
+	| number
+	| boolean
+	| null
+	| JsonValue[]
+	| { [key: string]: JsonValue };
+
+// Any JSON value, stored as-is rather than encoded into a string
+const jsonValueSchema: z.ZodType<JsonValue> = z.lazy(() =>
+	z.union([
+		z.string(),
+		z.number(),
+		z.boolean(),
+		z.null(),
+		z.array(jsonValueSchema),
+		z.record(jsonValueSchema),
+	]),
+);
+
+// Optional write-time check of a value's JSON type
+const valueTypeSchema = z.enum([
+	"null",
+	"string",
+	"number",
+	"boolean",
+	"array",
+	"object",
+]);
+
+// Nested tree shape produced by KVTreeStorage.exportTree and consumed by importTree
+type TreeData = {
+	value?: unknown;
+	children?: Record<string, TreeData>;
+};
+
+const treeDataSchema: z.ZodType<TreeData> = z.lazy(() =>
+	z.object({
+		value: z.any().optional(),
+		children: z.record(treeDataSchema).optional(),
+	}),
+);
+
+// How importTree and restoreSnapshot treat nodes that already exist
+const importModeSchema = z.enum(["merge", "skip-existing", "replace"]);
+
+// Declarative node filter, see nodefilter.js for the operators and field syntax
+type NodeFilter =
+	| { all: NodeFilter[] }
+	| { any: NodeFilter[] }
+	| { not: NodeFilter }
+	| { field?: string; op: string; value?: JsonValue; flags?: string };
+
+const nodeFilterSchema: z.ZodType<NodeFilter> = z.lazy(() =>
+	z.union([
+		z.object({ all: z.array(nodeFilterSchema) }),
+		z.object({ any: z.array(nodeFilterSchema) }),
+		z.object({ not: nodeFilterSchema }),
+		z.object({
+			field: z.string().optional(),
+			op: z.enum([
+				"eq",
+				"ne",
+				"gt",
+				"gte",
+				"lt",
+				"lte",
+				"in",
+				"contains",
+				"startsWith",
+				"endsWith",
+				"regex",
+				"exists",
+				"type",
+			]),
+			value: jsonValueSchema.optional(),
+			flags: z.string().optional(),
+		}),
+	]),
+);
+
+// Seconds until a node (and its subtree) expires, 0 for never; KV needs at least 60
+const ttlSchema = z.number().int().min(0);
+
+// Secret token of a lock held by the caller, letting a write into the locked subtree
+const lockTokenSchema = z.string().min(1);
+
+// Import/export format: nested { value, children }, flat path -> value map, or NDJSON
+const treeFormatSchema = z.enum(TREE_FORMATS as [string, ...string[]]);
+
+// A lock's token is only present for its holder
+type TreeLock = {
+	path: string[];
+	owner: string;
+	token?: string;
+	fence: number;
+	expiresAt: number;
+};
+
+// Format a lock record with its path as a string and its expiry as an ISO timestamp
+function formatLock(lock: TreeLock | null) {
+	if (lock === null) {
+		return null;
+	}
+	return {
+		path: formatPath(lock.path),
+		owner: lock.owner,
+		...(lock.token === undefined ? {} : { token: lock.token }),
+		fence: lock.fence,
+		expiresAt: new Date(lock.expiresAt).toISOString(),
+	};
+}
+
+type TreeSnapshot = {
+	name: string;
+	path: string[];
+	createdAt: number;
+	session: string | null;
+	nodeCount: number;
+	chunkCount: number;
+};
+
+// Format a snapshot description with a string path and an ISO creation time
+function formatSnapshot(snapshot: TreeSnapshot) {
+	return {
+		name: snapshot.name,
+		path: formatPath(snapshot.path),
+		createdAt: new Date(snapshot.createdAt).toISOString(),
+		session: snapshot.session,
+		nodeCount: snapshot.nodeCount,
+	};
+}
+
+type TreeRevision = {
+	revision: number;
+	timestamp: number;
+	session: string | null;
+	value: unknown;
+};
+
+// Format a revision log entry with its timestamp as an ISO string
+function formatRevision(entry: TreeRevision) {
+	return { ...entry, timestamp: new Date(entry.timestamp).toISOString() };
+}
+
+// Parse an ISO 8601 (or other Date-parsable) timestamp into epoch milliseconds
+function parseTimestamp(text: string): number {
+	const timestamp = Date.parse(text);
+	if (Number.isNaN(timestamp)) {
+		throw new Error(`Invalid timestamp: ${text}`);
+	}
+	return timestamp;
+}
+
+// Tree to operate on: "global" (the default) shared by everyone, "private" to
+// the calling client, or the name of a shared namespace
+const namespaceSchema = z.string().min(1);
+
+// Access level of a grant; each level includes the ones before it
+const accessLevelSchema = z.enum(["read", "write", "admin"]);
+
+type TreeGrant = { path: string[]; principal: string; access: string };
+
+// Format a grant with its path as a string
+function formatGrant(grant: TreeGrant) {
+	return { ...grant, path: formatPath(grant.path) };
+}
+
+// One operation of a batch, with the arguments of the matching tool
+const batchOpSchema = z.discriminatedUnion("op", [
+	z.object({
+		op: z.literal("set"),
+		path: z.string(),
+		value: jsonValueSchema,
+		valueType: valueTypeSchema.optional(),
+		createParents: z.boolean().optional(),
+		ttl: ttlSchema.optional(),
+	}),
+	z.object({
+		op: z.literal("create"),
+		path: z.string(),
+		value: jsonValueSchema.optional(),
+		valueType: valueTypeSchema.optional(),
+		ttl: ttlSchema.optional(),
+	}),
+	z.object({ op: z.literal("delete"), path: z.string() }),
+	z.object({
+		op: z.literal("move"),
+		source: z.string(),
+		targetParent: z.string(),
+		newName: z.string().optional(),
+	}),
+	z.object({
+		op: z.literal("copy"),
+		source: z.string(),
+		targetParent: z.string(),
+		newName: z.string().optional(),
+	}),
+]);
+
+type BatchResult = {
+	ok: boolean;
+	op: string;
+	path?: string[];
+	created?: string[][];
+	from?: string[];
+	to?: string[];
+	error?: { message: string };
+};
+
+// Format a batch op's result with string paths and a coded error
+function formatBatchResult(result: BatchResult) {
+	return {
+		...result,
+		...(result.path ? { path: formatPath(result.path) } : {}),
+		...(result.created ? { created: result.created.map(formatPath) } : {}),
+		...(result.from ? { from: formatPath(result.from) } : {}),
+		...(result.to ? { to: formatPath(result.to) } : {}),
+		...(result.error ? { error: describeError(result.error.message) } : {}),
+	};
+}
+
+// Nodes listed per resources/list page
+const RESOURCE_PAGE_SIZE = 100;
+
+// Describe a node as an MCP resource, named after its last path component
+function describeResource(pathArray: string[]) {
+	return {
+		uri: formatResourceUri(pathArray),
+		name:
+			pathArray.length === 0 ? "/" : pathParser.createPath(pathArray.slice(-1)),
+		description: formatPath(pathArray),
+		mimeType: "application/json",
+	};
+}
+
+// Run a tool operation, returning its result as JSON or its failure as an
+// isError payload of { error: { code, message } }, see describeError
+async function toolCall(operation: () => Promise<unknown>) {
+	try {
+		const result = await operation();
+		return {
+			content: [{ type: "text" as const, text: JSON.stringify(result) }],
+		};
+	} catch (error) {
+		return {
+			content: [
+				{
+					type: "text" as const,
+					text: JSON.stringify({ error: describeError(error) }),
+				},
+			],
+			isError: true,
+		};
+	}
+}
+
+// Set by the Worker from the request's bearer token; principal is null when
+// auth is off
+type SessionProps = { principal?: string | null };
+
 // Define our MCP agent with tools
-export class MyMCP extends McpAgent {
+export class MyMCP extends McpAgent<Env, unknown, SessionProps> {
 	server = new McpServer({
 		name: "Global Shared KV Storage",
 		version: "1.0.0",
@@ -23,79 +315,989 @@ export class MyMCP extends McpAgent {
 		super(ctx, env)
 	}
 	
+	// Path hashes, nodes and values this session has seen, kept between tool
+	// calls, along with counters of its storage round trips
+	cache = new TreeCache();
+
+	// Trees this session has opened, by principal and namespace
+	trees = new Map<string, TreeStorage>();
+
+	// Open the tree in a namespace (the global one by default) on the configured
+	// backend, creating its root node on first use
+	async openTree(namespace?: string) {
+		// Revisions are attributed to this MCP session's Durable Object, and
+		// operations checked against the access of the principal it connected as
+		const session = this.ctx.id.toString();
+		const principal = this.props?.principal ?? null;
+		const key = JSON.stringify([principal, namespace ?? null]);
+		let tree = this.trees.get(key);
+		if (tree === undefined) {
+			tree = createTree(
+				this.env,
+				this.ctx,
+				session,
+				principal,
+				namespace,
+				this.cache,
+			);
+			this.trees.set(key, tree);
+		}
+		// Checked on every call, as another client may have purged the namespace
+		await initializeTree(this.env, tree, session, principal, namespace);
+		return tree;
+	}
+
+	// Principal this session was set up for, undefined while it has not been
+	async sessionPrincipal(): Promise<string | null | undefined> {
+		const props = await this.ctx.storage.get<SessionProps>("props");
+		return props === undefined ? undefined : (props.principal ?? null);
+	}
+
+	// Called by the change hub with changes inside this session's resource
+	// subscriptions; false tells it the client is gone and to drop them
+	async notifyChanges(events: TreeChange[]): Promise<boolean> {
+		// Written straight to the client's socket, since an agent woken by this
+		// call has not reconnected its transport
+		const socket = this.getWebSocket();
+		if (socket === null) {
+			return false;
+		}
+		const send = (method: string, params?: object) =>
+			socket.send(JSON.stringify({ jsonrpc: "2.0", method, params }));
+		for (const event of events) {
+			const paths = event.targetPath
+				? [event.path, event.targetPath]
+				: [event.path];
+			for (const path of paths) {
+				send("notifications/resources/updated", {
+					uri: formatResourceUri(path),
+				});
+			}
+		}
+		// Creates, deletes and moves change the set of resources
+		if (events.some((event) => event.op !== "set")) {
+			send("notifications/resources/list_changed");
+		}
+		return true;
+	}
+
+	// Every node is a kvtree:// resource: resources/list walks the tree breadth
+	// first a page at a time, and resources/read returns a node's value as JSON
+	registerResources() {
+		this.server.resource(
+			"node",
+			new ResourceTemplate(`${RESOURCE_SCHEME}{+path}`, { list: undefined }),
+			{
+				description: "A tree node by escaped path, e.g. kvtree:///users/alice",
+				mimeType: "application/json",
+			},
+			async (uri) => {
+				const pathArr = parseResourceUri(uri.href);
+				const tree = await this.openTree();
+				const record = await tree.readValueRecord(pathArr);
+				if (record === null) {
+					throw new McpError(
+						ErrorCode.InvalidParams,
+						`Node does not exist: ${formatPath(pathArr)}`,
+					);
+				}
+				return {
+					contents: [
+						{
+							uri: uri.href,
+							mimeType: "application/json",
+							text: JSON.stringify(record.value),
+						},
+					],
+				};
+			},
+		);
+
+		// Replaces McpServer's handler, which cannot page a template's listing
+		this.server.server.setRequestHandler(
+			ListResourcesRequestSchema,
+			async (request) => {
+				const tree = await this.openTree();
+				const page = await tree.traversePage([], {
+					strategy: "breadth-first",
+					limit: RESOURCE_PAGE_SIZE,
+					cursor: request.params?.cursor ?? null,
+				});
+				return {
+					resources: page.nodes.map((node: { path: string[] }) =>
+						describeResource(node.path),
+					),
+					...(page.cursor === null ? {} : { nextCursor: page.cursor }),
+				};
+			},
+		);
+	}
+
+	// Subscribing to a kvtree:// resource subscribes to changes anywhere in its
+	// subtree; each change is notified with the URI of the node it affected
+	subscribeResources() {
+		this.server.server.registerCapabilities({ resources: { subscribe: true } });
+
+		this.server.server.setRequestHandler(
+			SubscribeRequestSchema,
+			async (request) => {
+				const pathArr = parseResourceUri(request.params.uri);
+				const tree = await this.openTree();
+				await tree.checkAccess(pathArr, "read");
+				// Only the SSE transport can carry notifications outside a request
+				if ((await this.ctx.storage.get("transportType")) !== "sse") {
+					throw new Error("Resource subscriptions need the /sse transport");
+				}
+				await openChangeHub(this.env).subscribe(
+					this.ctx.id.toString(),
+					pathArr,
+				);
+				return {};
+			},
+		);
+
+		this.server.server.setRequestHandler(
+			UnsubscribeRequestSchema,
+			async (request) => {
+				const pathArr = parseResourceUri(request.params.uri);
+				await openChangeHub(this.env).unsubscribe(
+					this.ctx.id.toString(),
+					pathArr,
+				);
+				return {};
+			},
+		);
+	}
+
 	async init() {
-		// get a value at a given path in the global kv storage
+		this.registerResources();
+		this.subscribeResources();
+
+		// get a value at a given path in the global kv storage, optionally with its
+		// version, or as it was at an earlier revision or time
 		this.server.tool(
 			"getValue",
-			{ path: String },
-			async ({ path }) => {
-				if(path == undefined || path == null || path == "") {
-					path = "/";
-				}
-				const pathArr = new PathParser().parsePath(path);
-				const tree = new KVTreeStorage(this.env['globaldata']);
-				tree.initializeRoot();
-				var result = null;
-				if(tree.nodeExists(pathArr)) {
-					result = tree.getValue(pathArr);
-				}
-				return ({
-					content: [{ type: "text", text: JSON.stringify(result) }],
-				});
-			}
+			{
+				path: z.string().optional(),
+				includeVersion: z.boolean().optional(),
+				asOf: z
+					.object({
+						revision: z.number().int().min(1).optional(),
+						timestamp: z.string().optional(),
+					})
+					.optional(),
+				namespace: namespaceSchema.optional(),
+			},
+			async ({ path, includeVersion, asOf, namespace }) =>
+				toolCall(async () => {
+					const pathArr = parsePath(path);
+					const tree = await this.openTree(namespace);
+					if (asOf !== undefined) {
+						const revision = await tree.readAsOf(pathArr, {
+							revision: asOf.revision,
+							timestamp:
+								asOf.timestamp === undefined
+									? undefined
+									: parseTimestamp(asOf.timestamp),
+						});
+						return includeVersion ? formatRevision(revision) : revision.value;
+					}
+					const record = await tree.readValueRecord(pathArr);
+					if (includeVersion) {
+						return record ?? { value: null, version: 0 };
+					}
+					return record?.value ?? null;
+				}),
 		);
 
-		// store a value at the given path in the global kv storage
+		// store a value at an existing path in the global kv storage, or with
+		// createParents create it along with any missing parent nodes; ttl replaces
+		// the node's expiration
 		this.server.tool(
 			"setValue",
-			{ path: String, value: String },
-			async ({ path, value }) => {
-				if(path == undefined || path == null || path == "") {
-					path = "/";
-				}
-				const pathArr = new PathParser().parsePath(path);
-				const tree = new KVTreeStorage(this.env['globaldata']);
-				tree.initializeRoot();
-				var result = null;
-				var replaced = false;
-				var stored = true;
-				if(tree.nodeExists(pathArr)) {
-					result = tree.getValue(pathArr);
-					if(result != value) {
-						replaced = true;
-					} else {
-						stored = false;
+			{
+				path: z.string(),
+				value: jsonValueSchema,
+				valueType: valueTypeSchema.optional(),
+				createParents: z.boolean().optional(),
+				ttl: ttlSchema.optional(),
+				lockToken: lockTokenSchema.optional(),
+				namespace: namespaceSchema.optional(),
+			},
+			async ({
+				path,
+				value,
+				valueType,
+				createParents = false,
+				ttl,
+				lockToken,
+				namespace,
+			}) =>
+				toolCall(async () => {
+					const pathArr = parsePath(path);
+					const tree = await this.openTree(namespace);
+					await tree.checkLocks(pathArr, lockToken);
+					let priorValue = null;
+					let replaced = false;
+					let stored = true;
+					let created: string[][] = [];
+					let version: number | undefined;
+					if (await tree.nodeExists(pathArr)) {
+						priorValue = await tree.getValue(pathArr);
+						if (
+							tree.serializeValue(priorValue) !== tree.serializeValue(value)
+						) {
+							replaced = true;
+						} else {
+							stored = ttl !== undefined;
+						}
 					}
-				}
-				if(stored)
-				{
-					tree.setValue(pathArr, value);
-				}
-				return ({
-					content: [{ type: "text", text: JSON.stringify({'priorValue': result, 'stored': stored, 'replaced': replaced}) }],
-				});
-			}
+					if (stored) {
+						({ created, version } = await tree.setValue(pathArr, value, {
+							createParents,
+							valueType,
+							ttl,
+						}));
+					}
+					return {
+						priorValue,
+						stored,
+						replaced,
+						created: created.map(formatPath),
+						version,
+					};
+				}),
+		);
+
+		// write a value only if the node's version and/or value still match what the
+		// caller expects; expectedVersion 0 means the node must not exist yet
+		this.server.tool(
+			"compareAndSet",
+			{
+				path: z.string(),
+				value: jsonValueSchema,
+				expectedVersion: z.number().int().min(0).optional(),
+				expectedValue: jsonValueSchema.optional(),
+				valueType: valueTypeSchema.optional(),
+				ttl: ttlSchema.optional(),
+				lockToken: lockTokenSchema.optional(),
+				namespace: namespaceSchema.optional(),
+			},
+			async ({
+				path,
+				value,
+				expectedVersion,
+				expectedValue,
+				valueType,
+				ttl,
+				lockToken,
+				namespace,
+			}) =>
+				toolCall(async () => {
+					const pathArr = parsePath(path);
+					const tree = await this.openTree(namespace);
+					await tree.checkLocks(pathArr, lockToken);
+					const result = await tree.compareAndSet(
+						pathArr,
+						value,
+						{ version: expectedVersion, value: expectedValue },
+						{ valueType, ttl },
+					);
+					if (!result.ok) {
+						return {
+							stored: false,
+							conflict: true,
+							exists: result.exists,
+							currentValue: result.currentValue,
+							currentVersion: result.currentVersion,
+						};
+					}
+					return {
+						stored: true,
+						version: result.version,
+						created: (result.created ?? []).map(formatPath),
+					};
+				}),
+		);
+
+		// list the retained revisions of a node, oldest first, one page at a time
+		this.server.tool(
+			"getHistory",
+			{
+				path: z.string(),
+				limit: z.number().int().min(1).max(1000).optional(),
+				cursor: z.string().optional(),
+				namespace: namespaceSchema.optional(),
+			},
+			async ({ path, limit = 100, cursor, namespace }) =>
+				toolCall(async () => {
+					const pathArr = parsePath(path);
+					const tree = await this.openTree(namespace);
+					const page = await tree.listHistory(pathArr, { limit, cursor });
+					return {
+						path: formatPath(pathArr),
+						revisions: page.revisions.map(formatRevision),
+						cursor: page.cursor,
+					};
+				}),
 		);
 
-		// store a value at the given path in the global kv storage
+		// write a node's value at an earlier revision back as its newest revision
+		this.server.tool(
+			"revertNode",
+			{
+				path: z.string(),
+				revision: z.number().int().min(1),
+				lockToken: lockTokenSchema.optional(),
+				namespace: namespaceSchema.optional(),
+			},
+			async ({ path, revision, lockToken, namespace }) =>
+				toolCall(async () => {
+					const pathArr = parsePath(path);
+					const tree = await this.openTree(namespace);
+					await tree.checkLocks(pathArr, lockToken);
+					const result = await tree.revertNode(pathArr, revision);
+					return { path: formatPath(pathArr), ...result };
+				}),
+		);
+
+		// list the names of a node's children in name order, one page at a time
 		this.server.tool(
 			"getChildren",
-			{ path: String },
-			async ({ path }) => {
-				if(path == undefined || path == null || path == "") {
-					path = "/";
-				}
-				const pathArr = new PathParser().parsePath(path);
-				const tree = new KVTreeStorage(this.env['globaldata']);
-				tree.initializeRoot();
-				var result = null;
-				if(tree.nodeExists(pathArr)) {
-					result = tree.getChildren(pathArr);
-				}
-				return ({
-					content: [{ type: "text", text: JSON.stringify(result) }],
-				});
-			}
+			{
+				path: z.string().optional(),
+				limit: z.number().int().min(1).max(1000).optional(),
+				cursor: z.string().optional(),
+				namespace: namespaceSchema.optional(),
+			},
+			async ({ path, limit = 1000, cursor, namespace }) =>
+				toolCall(async () => {
+					const pathArr = parsePath(path);
+					const tree = await this.openTree(namespace);
+					const page = await tree.listChildren(pathArr, { limit, cursor });
+					return { path: formatPath(pathArr), ...page };
+				}),
+		);
+
+		// create a new node under an existing parent, optionally expiring after ttl seconds
+		this.server.tool(
+			"createNode",
+			{
+				path: z.string(),
+				value: jsonValueSchema.optional(),
+				valueType: valueTypeSchema.optional(),
+				ttl: ttlSchema.optional(),
+				lockToken: lockTokenSchema.optional(),
+				namespace: namespaceSchema.optional(),
+			},
+			async ({ path, value, valueType, ttl, lockToken, namespace }) =>
+				toolCall(async () => {
+					const pathArr = parsePath(path);
+					const tree = await this.openTree(namespace);
+					await tree.checkLocks(pathArr, lockToken);
+					await tree.createNode(pathArr, value ?? null, { valueType, ttl });
+					return { path: formatPath(pathArr), created: true };
+				}),
+		);
+
+		// delete a node and all of its descendants
+		this.server.tool(
+			"deleteNode",
+			{
+				path: z.string(),
+				lockToken: lockTokenSchema.optional(),
+				namespace: namespaceSchema.optional(),
+			},
+			async ({ path, lockToken, namespace }) =>
+				toolCall(async () => {
+					const pathArr = parsePath(path);
+					const tree = await this.openTree(namespace);
+					await tree.checkLocks(pathArr, lockToken, { subtree: true });
+					await tree.deleteNode(pathArr);
+					return { path: formatPath(pathArr), deleted: true };
+				}),
+		);
+
+		// move a subtree under a new parent, optionally renaming it
+		this.server.tool(
+			"moveNode",
+			{
+				source: z.string(),
+				targetParent: z.string(),
+				newName: z.string().optional(),
+				lockToken: lockTokenSchema.optional(),
+				namespace: namespaceSchema.optional(),
+			},
+			async ({ source, targetParent, newName, lockToken, namespace }) =>
+				toolCall(async () => {
+					const sourceArr = parsePath(source);
+					const targetParentArr = parsePath(targetParent);
+					const name = newName ?? sourceArr[sourceArr.length - 1];
+					const tree = await this.openTree(namespace);
+					await tree.checkLocks(sourceArr, lockToken, { subtree: true });
+					await tree.checkLocks(
+						checkPath([...targetParentArr, name]),
+						lockToken,
+					);
+					await tree.moveNode(sourceArr, targetParentArr, name);
+					return {
+						from: formatPath(sourceArr),
+						to: formatPath([...targetParentArr, name]),
+					};
+				}),
+		);
+
+		// copy a subtree under a new parent, optionally renaming the copy
+		this.server.tool(
+			"copySubtree",
+			{
+				source: z.string(),
+				targetParent: z.string(),
+				newName: z.string().optional(),
+				lockToken: lockTokenSchema.optional(),
+				namespace: namespaceSchema.optional(),
+			},
+			async ({ source, targetParent, newName, lockToken, namespace }) =>
+				toolCall(async () => {
+					const sourceArr = parsePath(source);
+					const targetParentArr = parsePath(targetParent);
+					const name = newName ?? sourceArr[sourceArr.length - 1];
+					const tree = await this.openTree(namespace);
+					await tree.checkLocks(
+						checkPath([...targetParentArr, name]),
+						lockToken,
+					);
+					await tree.copySubtree(sourceArr, targetParentArr, name);
+					return {
+						from: formatPath(sourceArr),
+						to: formatPath([...targetParentArr, name]),
+					};
+				}),
+		);
+
+		// run several set/create/delete/move/copy ops in order; atomic checks them
+		// all first and undoes the applied ones if one fails, continueOnError runs
+		// past failures, and otherwise the batch stops at the first failure
+		this.server.tool(
+			"batch",
+			{
+				ops: z.array(batchOpSchema).min(1).max(100),
+				atomic: z.boolean().optional(),
+				continueOnError: z.boolean().optional(),
+				lockToken: lockTokenSchema.optional(),
+				namespace: namespaceSchema.optional(),
+			},
+			async ({ ops, atomic, continueOnError, lockToken, namespace }) =>
+				toolCall(async () => {
+					const parsed = ops.map((op) =>
+						op.op === "move" || op.op === "copy"
+							? {
+									...op,
+									source: parsePath(op.source),
+									targetParent: parsePath(op.targetParent),
+									newName:
+										op.newName === undefined
+											? undefined
+											: checkPath([op.newName])[0],
+								}
+							: { ...op, path: parsePath(op.path) },
+					);
+					const tree = await this.openTree(namespace);
+					const results: BatchResult[] = await tree.batch(parsed, {
+						atomic,
+						continueOnError,
+						lockToken,
+					});
+					return {
+						ok: results.every((result) => result.ok),
+						results: results.map(formatBatchResult),
+					};
+				}),
+		);
+
+		// walk a subtree, children in name order, one page of nodes at a time
+		this.server.tool(
+			"traverse",
+			{
+				path: z.string().optional(),
+				strategy: z.enum(["depth-first", "breadth-first"]).optional(),
+				maxDepth: z.number().int().min(0).optional(),
+				limit: z.number().int().min(1).max(1000).optional(),
+				cursor: z.string().optional(),
+				namespace: namespaceSchema.optional(),
+			},
+			async ({ path, strategy, maxDepth, limit = 100, cursor, namespace }) =>
+				toolCall(async () => {
+					const tree = await this.openTree(namespace);
+					const page = await tree.traversePage(parsePath(path), {
+						strategy,
+						maxDepth,
+						limit,
+						cursor,
+					});
+					return {
+						nodes: page.nodes.map(
+							(node: {
+								path: string[];
+								value: unknown;
+								version: number;
+								depth: number;
+								childCount: number;
+							}) => ({ ...node, path: formatPath(node.path) }),
+						),
+						cursor: page.cursor,
+					};
+				}),
+		);
+
+		// find nodes in a subtree matching a declarative filter, e.g.
+		// { all: [{ field: "$.status", op: "eq", value: "open" }] }, one page at a time
+		this.server.tool(
+			"findNodes",
+			{
+				path: z.string().optional(),
+				filter: nodeFilterSchema.optional(),
+				minDepth: z.number().int().min(0).optional(),
+				maxDepth: z.number().int().min(0).optional(),
+				limit: z.number().int().min(1).max(1000).optional(),
+				cursor: z.string().optional(),
+				namespace: namespaceSchema.optional(),
+			},
+			async ({
+				path,
+				filter,
+				minDepth,
+				maxDepth,
+				limit = 100,
+				cursor,
+				namespace,
+			}) =>
+				toolCall(async () => {
+					const tree = await this.openTree(namespace);
+					const page = await tree.searchNodes(filter, parsePath(path), {
+						minDepth,
+						maxDepth,
+						limit,
+						cursor,
+					});
+					return {
+						nodes: page.nodes.map(
+							(node: {
+								path: string[];
+								value: unknown;
+								version: number;
+								depth: number;
+							}) => ({
+								path: formatPath(node.path),
+								value: node.value,
+								version: node.version,
+								depth: node.depth,
+							}),
+						),
+						cursor: page.cursor,
+					};
+				}),
+		);
+
+		// read every node matching a glob pattern: * matches one path component,
+		// ** any number of components and {a,b} either alternative
+		this.server.tool(
+			"queryValues",
+			{
+				pattern: z.string(),
+				limit: z.number().int().min(1).max(1000).optional(),
+				namespace: namespaceSchema.optional(),
+			},
+			async ({ pattern, limit = 100, namespace }) =>
+				toolCall(async () => {
+					const tree = await this.openTree(namespace);
+					const { matches, truncated } = await tree.queryNodes(
+						parsePattern(pattern),
+						{ limit },
+					);
+					return {
+						matches: matches.map(
+							(match: { path: string[]; value: unknown; version: number }) => ({
+								path: formatPath(match.path),
+								value: match.value,
+								version: match.version,
+							}),
+						),
+						truncated,
+					};
+				}),
+		);
+
+		// take an exclusive lease on a subtree for the caller (its principal, or
+		// this session when auth is off); writes into it are rejected until the
+		// lease runs out or is released, unless they carry the token. Extending
+		// or nesting a lock takes the token of the lock or one overlapping it
+		this.server.tool(
+			"acquireLock",
+			{
+				path: z.string(),
+				leaseSeconds: z.number().positive().max(86400).optional(),
+				lockToken: lockTokenSchema.optional(),
+				namespace: namespaceSchema.optional(),
+			},
+			async ({ path, leaseSeconds = 60, lockToken, namespace }) =>
+				toolCall(async () => {
+					const tree = await this.openTree(namespace);
+					const { acquired, lock } = await tree.acquireLock(
+						parsePath(path),
+						leaseSeconds,
+						lockToken,
+					);
+					return { acquired, lock: formatLock(lock) };
+				}),
+		);
+
+		// extend the lease of a lock the caller holds
+		this.server.tool(
+			"renewLock",
+			{
+				path: z.string(),
+				token: lockTokenSchema,
+				leaseSeconds: z.number().positive().max(86400).optional(),
+				namespace: namespaceSchema.optional(),
+			},
+			async ({ path, token, leaseSeconds = 60, namespace }) =>
+				toolCall(async () => {
+					const tree = await this.openTree(namespace);
+					const lock = await tree.renewLock(
+						parsePath(path),
+						token,
+						leaseSeconds,
+					);
+					return { renewed: true, lock: formatLock(lock) };
+				}),
+		);
+
+		// give up a lock the caller holds
+		this.server.tool(
+			"releaseLock",
+			{
+				path: z.string(),
+				token: lockTokenSchema,
+				namespace: namespaceSchema.optional(),
+			},
+			async ({ path, token, namespace }) =>
+				toolCall(async () => {
+					const pathArr = parsePath(path);
+					const tree = await this.openTree(namespace);
+					await tree.releaseLock(pathArr, token);
+					return { path: formatPath(pathArr), released: true };
+				}),
+		);
+
+		// node, leaf and depth counts for a subtree
+		this.server.tool(
+			"getStats",
+			{ path: z.string().optional(), namespace: namespaceSchema.optional() },
+			async ({ path, namespace }) =>
+				toolCall(async () => {
+					const tree = await this.openTree(namespace);
+					return await tree.getStats(parsePath(path));
+				}),
+		);
+
+		// export a subtree one page of nodes at a time, as nested { value, children }
+		// JSON (nodes from earlier pages appear as containers without a value), a flat
+		// map of relative paths to values, or NDJSON lines
+		this.server.tool(
+			"exportTree",
+			{
+				path: z.string().optional(),
+				format: treeFormatSchema.optional(),
+				limit: z.number().int().min(1).max(1000).optional(),
+				cursor: z.string().optional(),
+				namespace: namespaceSchema.optional(),
+			},
+			async ({ path, format = "nested", limit = 1000, cursor, namespace }) =>
+				toolCall(async () => {
+					const tree = await this.openTree(namespace);
+					const page = await tree.exportTreePage(parsePath(path), {
+						limit,
+						cursor,
+					});
+					if (format === "nested") {
+						return page;
+					}
+					return { data: encodeTree(format, page.tree), cursor: page.cursor };
+				}),
+		);
+
+		// import nested, flat or NDJSON data at a path; existing nodes are
+		// overwritten (merge), left alone (skip-existing) or deleted first (replace)
+		this.server.tool(
+			"importTree",
+			{
+				path: z.string().optional(),
+				format: treeFormatSchema.optional(),
+				tree: treeDataSchema.optional(),
+				data: z.union([z.record(jsonValueSchema), z.string()]).optional(),
+				mode: importModeSchema.optional(),
+				lockToken: lockTokenSchema.optional(),
+				namespace: namespaceSchema.optional(),
+			},
+			async ({
+				path,
+				format = "nested",
+				tree: nested,
+				data,
+				mode = "merge",
+				lockToken,
+				namespace,
+			}) =>
+				toolCall(async () => {
+					const pathArr = parsePath(path);
+					// nested data may come in tree (as before) or data, the others in data
+					const treeData = decodeTree(format, nested ?? data);
+					const tree = await this.openTree(namespace);
+					await tree.checkLocks(pathArr, lockToken, {
+						subtree: mode === "replace",
+					});
+					const counts = await tree.importTree(treeData, pathArr, { mode });
+					return { path: formatPath(pathArr), imported: true, ...counts };
+				}),
+		);
+
+		// capture a subtree as a named snapshot, e.g. before a risky multi-step change
+		this.server.tool(
+			"captureSnapshot",
+			{
+				name: z.string().min(1),
+				path: z.string().optional(),
+				namespace: namespaceSchema.optional(),
+			},
+			async ({ name, path, namespace }) =>
+				toolCall(async () => {
+					const tree = await this.openTree(namespace);
+					return formatSnapshot(
+						await tree.captureSnapshot(name, parsePath(path)),
+					);
+				}),
+		);
+
+		// list the stored snapshots
+		this.server.tool(
+			"listSnapshots",
+			{ namespace: namespaceSchema.optional() },
+			async ({ namespace }) =>
+				toolCall(async () => {
+					const tree = await this.openTree(namespace);
+					const snapshots: TreeSnapshot[] = await tree.listSnapshots();
+					return { snapshots: snapshots.map(formatSnapshot) };
+				}),
+		);
+
+		// compare a snapshot with the live subtree it was taken from (or another path)
+		this.server.tool(
+			"diffSnapshot",
+			{
+				name: z.string().min(1),
+				path: z.string().optional(),
+				namespace: namespaceSchema.optional(),
+			},
+			async ({ name, path, namespace }) =>
+				toolCall(async () => {
+					const tree = await this.openTree(namespace);
+					const diff = await tree.diffSnapshot(
+						name,
+						path === undefined ? undefined : parsePath(path),
+					);
+					const withPath = <T extends { path: string[] }>(node: T) => ({
+						...node,
+						path: formatPath(node.path),
+					});
+					return {
+						added: diff.added.map(withPath),
+						removed: diff.removed.map(withPath),
+						changed: diff.changed.map(withPath),
+					};
+				}),
+		);
+
+		// restore a snapshot into the subtree it was taken from (or another path),
+		// replacing it by default
+		this.server.tool(
+			"restoreSnapshot",
+			{
+				name: z.string().min(1),
+				path: z.string().optional(),
+				mode: importModeSchema.optional(),
+				lockToken: lockTokenSchema.optional(),
+				namespace: namespaceSchema.optional(),
+			},
+			async ({ name, path, mode = "replace", lockToken, namespace }) =>
+				toolCall(async () => {
+					const tree = await this.openTree(namespace);
+					const pathArr =
+						path === undefined
+							? (await tree.readSnapshot(name)).snapshot.path
+							: parsePath(path);
+					await tree.checkLocks(pathArr, lockToken, {
+						subtree: mode === "replace",
+					});
+					const result = await tree.restoreSnapshot(name, {
+						mode,
+						path: pathArr,
+					});
+					return { ...result, path: formatPath(result.path) };
+				}),
+		);
+
+		// delete a stored snapshot
+		this.server.tool(
+			"deleteSnapshot",
+			{ name: z.string().min(1), namespace: namespaceSchema.optional() },
+			async ({ name, namespace }) =>
+				toolCall(async () => {
+					const tree = await this.openTree(namespace);
+					await tree.deleteSnapshot(name);
+					return { name, deleted: true };
+				}),
+		);
+
+		// grant a principal ("*" for everyone) read, write or admin access to a
+		// subtree; needs admin access to it
+		this.server.tool(
+			"grantAccess",
+			{
+				path: z.string(),
+				principal: z.string().min(1),
+				access: accessLevelSchema,
+				namespace: namespaceSchema.optional(),
+			},
+			async ({ path, principal, access, namespace }) =>
+				toolCall(async () => {
+					const tree = await this.openTree(namespace);
+					return formatGrant(
+						await tree.grantAccess(parsePath(path), principal, access),
+					);
+				}),
+		);
+
+		// revoke a principal's grant on exactly the given path
+		this.server.tool(
+			"revokeAccess",
+			{
+				path: z.string(),
+				principal: z.string().min(1),
+				namespace: namespaceSchema.optional(),
+			},
+			async ({ path, principal, namespace }) =>
+				toolCall(async () => {
+					const pathArr = parsePath(path);
+					const tree = await this.openTree(namespace);
+					const revoked = await tree.revokeAccess(pathArr, principal);
+					return { path: formatPath(pathArr), principal, revoked };
+				}),
+		);
+
+		// list the grants on a subtree and inside it, along with the caller's own
+		// access to it
+		this.server.tool(
+			"listGrants",
+			{ path: z.string().optional(), namespace: namespaceSchema.optional() },
+			async ({ path, namespace }) =>
+				toolCall(async () => {
+					const pathArr = parsePath(path);
+					const tree = await this.openTree(namespace);
+					const grants = await tree.listGrants(pathArr);
+					return {
+						principal: this.props?.principal ?? null,
+						access: await tree.readAccess(pathArr),
+						grants: grants.map(formatGrant),
+					};
+				}),
+		);
+
+		// list the namespaces this client can use: global, shared ones and its own
+		// private one
+		this.server.tool("listNamespaces", {}, async () =>
+			toolCall(async () => {
+				const namespaces = await listNamespaces(
+					this.env,
+					this.ctx.id.toString(),
+					this.props?.principal ?? null,
+					this.cache,
+				);
+				return namespaces.map(({ name, owner, createdAt }) => ({
+					name,
+					owner,
+					createdAt:
+						createdAt === null ? null : new Date(createdAt).toISOString(),
+				}));
+			}),
+		);
+
+		// delete everything in a shared namespace (needs admin access to its root)
+		// or in this client's private one
+		this.server.tool(
+			"purgeNamespace",
+			{ namespace: namespaceSchema },
+			async ({ namespace }) =>
+				toolCall(async () => {
+					const deletedKeys = await purgeNamespace(
+						this.env,
+						this.ctx.id.toString(),
+						this.props?.principal ?? null,
+						namespace,
+						this.cache,
+					);
+					return { namespace, purged: true, deletedKeys };
+				}),
+		);
+
+		// report this session's storage cache: hits, misses and round trips to the
+		// backend (for the Durable Object backend, those of the tree store)
+		this.server.tool(
+			"getCacheStats",
+			{ reset: z.boolean().optional() },
+			async ({ reset }) =>
+				toolCall(async () => {
+					const tree = await this.openTree();
+					return await tree.getCacheStats({ reset });
+				}),
+		);
+
+		// move a tree stored in the old key layout over to the current one, a page
+		// of nodes per call (needs admin access to the root); writes are refused
+		// until every node is copied. dryRun only reports what would be moved
+		this.server.tool(
+			"migrateLayout",
+			{
+				dryRun: z.boolean().optional(),
+				limit: z.number().int().min(1).max(1000).optional(),
+				cursor: z.string().optional(),
+				namespace: namespaceSchema.optional(),
+			},
+			async ({ dryRun = false, limit = 100, cursor, namespace }) =>
+				toolCall(async () => {
+					const tree = await this.openTree(namespace);
+					const report = await tree.migrateLayout({ dryRun, limit, cursor });
+					return {
+						...report,
+						ambiguousPaths: report.ambiguousPaths.map(formatPath),
+					};
+				}),
+		);
+
+		// check the tree for orphaned nodes, child entries of missing nodes and
+		// wrong parent keys (needs admin access to the root); repair fixes them
+		this.server.tool(
+			"fsck",
+			{
+				repair: z.boolean().optional(),
+				scan: z.boolean().optional(),
+				namespace: namespaceSchema.optional(),
+			},
+			async ({ repair = false, scan = true, namespace }) =>
+				toolCall(async () => {
+					const tree = await this.openTree(namespace);
+					return formatFsckReport(await tree.fsck({ repair, scan }));
+				}),
 		);
 
 		// Calculator tool with multiple operations
@@ -138,10 +1340,41 @@ export class MyMCP extends McpAgent {
 	}
 }
 
+export { TreeStore } from "./cfdotree.js";
+export { ChangeHub } from "./changehub.js";
+
+// The Durable Object of the MCP session a request continues, named the way
+// McpAgent.serveSSE and McpAgent.serve name it, or null for a new session
+function requestedSession(request: Request, url: URL, env: Env) {
+	let name: string | null = null;
+	if (url.pathname === "/sse" || url.pathname === "/sse/message") {
+		const sessionId = url.searchParams.get("sessionId");
+		name = sessionId && `sse:${sessionId}`;
+	} else if (url.pathname === "/mcp") {
+		const sessionId = request.headers.get("mcp-session-id");
+		name = sessionId && `streamable-http:${sessionId}`;
+	}
+	return name ? env.MCP_OBJECT.get(env.MCP_OBJECT.idFromName(name)) : null;
+}
+
 export default {
-	fetch(request: Request, env: Env, ctx: ExecutionContext) {
+	async fetch(request: Request, env: Env, ctx: ExecutionContext) {
 		const url = new URL(request.url);
 
+		const principal = authenticate(request, env);
+		if (principal === undefined) {
+			return unauthorizedResponse();
+		}
+		// Passed on to the MCP agent as this.props, which it keeps from the
+		// request that set the session up; later requests must match it
+		const session = requestedSession(request, url, env);
+		const owner =
+			session === null ? undefined : await session.sessionPrincipal();
+		if (owner !== undefined && owner !== principal) {
+			return unauthorizedResponse("MCP session belongs to another principal");
+		}
+		ctx.props = { principal };
+
 		if (url.pathname === "/sse" || url.pathname === "/sse/message") {
 			return MyMCP.serveSSE("/sse").fetch(request, env, ctx);
 		}
@@ -150,7 +1383,11 @@ export default {
 			return MyMCP.serve("/mcp").fetch(request, env, ctx);
 		}
 
+		if (isTreeRequest(url)) {
+			return handleTreeRequest(request, env, principal, ctx);
+		}
+
 		return new Response("Not found", { status: 404 });
     },
 
-} satisfies ExportedHandler<{ globaldata: KVNamespace }>;
+} satisfies ExportedHandler<Env>;
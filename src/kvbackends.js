@@ -0,0 +1,235 @@
+/**
+ * Storage backends for KVTreeStorage
+ *
+ * KVTreeStorage only needs a small, Workers-KV-shaped contract from its
+ * backend, so a KV namespace binding can be passed in directly:
+ *
+ *   get(key)                      -> Promise<string | null>
+ *   getWithMetadata(key)          -> Promise<{ value: string | null, metadata: object | null }>
+ *   put(key, value, options?)     -> Promise<void>
+ *       options: { metadata?, expiration?, expirationTtl? }
+ *   delete(key)                   -> Promise<void>
+ *   list({ prefix?, cursor?, limit? })
+ *                                 -> Promise<{ keys: [{ name, metadata, expiration? }],
+ *                                              list_complete: boolean, cursor?: string }>
+ *
+ * Keys are listed in lexicographic order. Expiration is in seconds since the
+ * epoch and expirationTtl in seconds from now, as in Workers KV.
+ */
+
+/**
+ * Work out the absolute expiration (in epoch seconds) requested by put options
+ */
+function expirationFromOptions(options) {
+  if (options.expiration !== undefined) {
+    return options.expiration;
+  }
+  if (options.expirationTtl !== undefined) {
+    return Math.floor(Date.now() / 1000) + options.expirationTtl;
+  }
+  return null;
+}
+
+/**
+ * Check whether a stored record has passed its expiration
+ */
+function isExpired(record) {
+  const expiration = record.expiration ?? null;
+  return expiration !== null && expiration * 1000 <= Date.now();
+}
+
+/**
+ * Describe a stored record as a KV list() key entry
+ */
+function describeKey(name, record) {
+  const expiration = record.expiration ?? null;
+  const metadata = record.metadata ?? null;
+  return expiration === null ? { name, metadata } : { name, metadata, expiration };
+}
+
+/**
+ * Page through sorted key names the way KV list() does
+ * The cursor is the last key name returned by the previous page
+ */
+function listPage(names, { prefix = '', cursor = null, limit = 1000 } = {}) {
+  const matching = names
+    .filter(name => name.startsWith(prefix) && (cursor === null || name > cursor))
+    .sort();
+  const page = matching.slice(0, limit);
+  const complete = page.length === matching.length;
+
+  return {
+    names: page,
+    list_complete: complete,
+    cursor: complete ? undefined : page[page.length - 1]
+  };
+}
+
+/**
+ * In-memory backend on a Map
+ * Lets tests and local scripts run KVTreeStorage without a Worker runtime
+ */
+export class MemoryBackend {
+  constructor() {
+    this.records = new Map();
+  }
+
+  readRecord(key) {
+    const record = this.records.get(key);
+    if (record === undefined) {
+      return null;
+    }
+    if (isExpired(record)) {
+      this.records.delete(key);
+      return null;
+    }
+    return record;
+  }
+
+  async get(key) {
+    const record = this.readRecord(key);
+    return record === null ? null : record.value;
+  }
+
+  async getWithMetadata(key) {
+    const record = this.readRecord(key);
+    if (record === null) {
+      return { value: null, metadata: null };
+    }
+    return { value: record.value, metadata: record.metadata };
+  }
+
+  async put(key, value, options = {}) {
+    this.records.set(key, {
+      value: String(value),
+      metadata: options.metadata ?? null,
+      expiration: expirationFromOptions(options)
+    });
+  }
+
+  async delete(key) {
+    this.records.delete(key);
+  }
+
+  async list(options = {}) {
+    const names = [...this.records.keys()].filter(name => this.readRecord(name) !== null);
+    const { names: page, list_complete, cursor } = listPage(names, options);
+
+    return {
+      keys: page.map(name => describeKey(name, this.records.get(name))),
+      list_complete,
+      cursor
+    };
+  }
+}
+
+/**
+ * Backend over Durable Object storage (or a storage transaction)
+ * Stores each key as a { value, metadata, expiration } record
+ */
+export class DurableObjectBackend {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  async readRecord(key) {
+    const record = await this.storage.get(key);
+    if (record === undefined) {
+      return null;
+    }
+    if (isExpired(record)) {
+      await this.storage.delete(key);
+      return null;
+    }
+    return record;
+  }
+
+  async get(key) {
+    const record = await this.readRecord(key);
+    return record === null ? null : record.value;
+  }
+
+  async getWithMetadata(key) {
+    const record = await this.readRecord(key);
+    if (record === null) {
+      return { value: null, metadata: null };
+    }
+    return { value: record.value, metadata: record.metadata ?? null };
+  }
+
+  async put(key, value, options = {}) {
+    await this.storage.put(key, {
+      value: String(value),
+      metadata: options.metadata ?? null,
+      expiration: expirationFromOptions(options)
+    });
+  }
+
+  async delete(key) {
+    await this.storage.delete(key);
+  }
+
+  async list(options = {}) {
+    const { prefix = '', cursor = null, limit = 1000 } = options;
+    const keys = [];
+    let startAfter = cursor ?? undefined;
+    let exhausted = false;
+
+    // Skip expired records, fetching more until the page is full
+    while (keys.length < limit && !exhausted) {
+      const batchSize = limit - keys.length;
+      const records = await this.storage.list({ prefix, startAfter, limit: batchSize });
+      exhausted = records.size < batchSize;
+
+      for (const [name, record] of records) {
+        startAfter = name;
+        if (!isExpired(record)) {
+          keys.push(describeKey(name, record));
+        }
+      }
+    }
+
+    return {
+      keys,
+      list_complete: exhausted,
+      cursor: exhausted ? undefined : startAfter
+    };
+  }
+}
+
+/**
+ * Backend wrapper counting the round trips made to the backend it wraps
+ * in the backend counters of owner, a TreeCache
+ */
+export class CountingBackend {
+  constructor(backend, owner) {
+    this.backend = backend;
+    // Looked up on each call, as the owner may replace its counters
+    this.owner = owner;
+  }
+
+  async get(key) {
+    this.owner.counters.backendReads++;
+    return await this.backend.get(key);
+  }
+
+  async getWithMetadata(key) {
+    this.owner.counters.backendReads++;
+    return await this.backend.getWithMetadata(key);
+  }
+
+  async put(key, value, options = {}) {
+    this.owner.counters.backendWrites++;
+    return await this.backend.put(key, value, options);
+  }
+
+  async delete(key) {
+    this.owner.counters.backendDeletes++;
+    return await this.backend.delete(key);
+  }
+
+  async list(options = {}) {
+    this.owner.counters.backendLists++;
+    return await this.backend.list(options);
+  }
+}
@@ -0,0 +1,234 @@
+/**
+ * Declarative node filters
+ * A JSON-serializable alternative to the predicate functions taken by
+ * KVTreeStorage.findNodes, so filters can be sent by MCP clients
+ *
+ * A filter is one of:
+ *   { all: [filter, ...] }      every filter matches
+ *   { any: [filter, ...] }      at least one filter matches
+ *   { not: filter }             the filter does not match
+ *   { field?, op, value?, flags? }
+ *
+ * field selects what a condition tests:
+ *   '$' (default)      the node's whole value
+ *   '$.a.b', '$.a[0]'  a field inside an object or array value ('$' is optional)
+ *   '@name'            the node's name (last path component)
+ *   '@depth'           the node's depth below the search start
+ *
+ * op is one of:
+ *   eq, ne                 deep equality
+ *   gt, gte, lt, lte       range checks (numbers with numbers, strings with strings)
+ *   in                     value is an array containing the field
+ *   contains               substring of a string, or element of an array
+ *   startsWith, endsWith   string prefix / suffix
+ *   regex                  string matches the value as a regular expression (with flags)
+ *   exists                 the field is present (value true) or absent (value false)
+ *   type                   JSON type: null, string, number, boolean, array or object
+ */
+
+const OPERATORS = [
+  'eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'contains',
+  'startsWith', 'endsWith', 'regex', 'exists', 'type'
+];
+
+/**
+ * Field path syntax, each with a reader for the matched part
+ */
+const FIELD_PATH_PARTS = [
+  // .name
+  [/^\.([^.[]+)/, match => match[1]],
+  // [0]
+  [/^\[(\d+)\]/, match => Number(match[1])],
+  // ['quoted name'] or ["quoted name"]
+  [/^\[(['"])((?:\\.|(?!\1).)*)\1\]/, match => match[2].replace(/\\(.)/g, '$1')]
+];
+
+/**
+ * Split a JSON-path-style field into property names and array indexes
+ * Accepts $.a.b, a.b, $.a[0], $['key with.dots']
+ */
+export function parseFieldPath(field) {
+  let rest = field.startsWith('$') ? field.slice(1) : `.${field}`;
+  const parts = [];
+
+  while (rest.length > 0) {
+    const part = FIELD_PATH_PARTS
+      .map(([regex, read]) => ({ match: rest.match(regex), read }))
+      .find(({ match }) => match !== null);
+    if (part === undefined) {
+      throw new Error(`Invalid field path: ${field}`);
+    }
+    parts.push(part.read(part.match));
+    rest = rest.slice(part.match[0].length);
+  }
+
+  return parts;
+}
+
+/**
+ * Look up a parsed field path inside a value
+ */
+function resolveField(value, parts) {
+  let current = value;
+  for (const part of parts) {
+    if (current === null || typeof current !== 'object' || !(part in current)) {
+      return { found: false };
+    }
+    if (typeof part === 'number' && !Array.isArray(current)) {
+      return { found: false };
+    }
+    current = current[part];
+  }
+  return { found: true, value: current };
+}
+
+/**
+ * JSON type name of a value
+ */
+function jsonType(value) {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Deep equality for JSON values
+ */
+function jsonEqual(a, b) {
+  if (a === b) return true;
+  const type = jsonType(a);
+  if (type !== jsonType(b)) return false;
+  if (type === 'array') {
+    return a.length === b.length && a.every((item, index) => jsonEqual(item, b[index]));
+  }
+  if (type === 'object') {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+      keys.every(key => key in b && jsonEqual(a[key], b[key]));
+  }
+  return false;
+}
+
+/**
+ * Order two values for range checks, or return null if they are not comparable
+ */
+function compare(a, b) {
+  const type = jsonType(a);
+  if ((type !== 'number' && type !== 'string') || type !== jsonType(b)) {
+    return null;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Compile a single condition into a test on the selected field
+ */
+function compileCondition(condition) {
+  const { field = '$', op, value } = condition;
+  if (!OPERATORS.includes(op)) {
+    throw new Error(`Unknown filter operator: ${op}`);
+  }
+
+  let select;
+  if (field === '@name') {
+    select = (node) => ({ found: node.path.length > 0, value: node.path[node.path.length - 1] });
+  } else if (field === '@depth') {
+    select = (_node, depth) => ({ found: true, value: depth });
+  } else {
+    const parts = parseFieldPath(field);
+    select = (node) => resolveField(node.value, parts);
+  }
+
+  let test;
+  switch (op) {
+    case 'eq':
+      test = (found, actual) => found && jsonEqual(actual, value);
+      break;
+    case 'ne':
+      test = (found, actual) => !found || !jsonEqual(actual, value);
+      break;
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte': {
+      const accept = {
+        gt: order => order > 0,
+        gte: order => order >= 0,
+        lt: order => order < 0,
+        lte: order => order <= 0
+      }[op];
+      test = (found, actual) => {
+        const order = found ? compare(actual, value) : null;
+        return order !== null && accept(order);
+      };
+      break;
+    }
+    case 'in':
+      if (!Array.isArray(value)) {
+        throw new Error('The in operator needs an array value');
+      }
+      test = (found, actual) => found && value.some(item => jsonEqual(actual, item));
+      break;
+    case 'contains':
+      test = (found, actual) => {
+        if (!found) return false;
+        if (typeof actual === 'string') return typeof value === 'string' && actual.includes(value);
+        if (Array.isArray(actual)) return actual.some(item => jsonEqual(item, value));
+        return false;
+      };
+      break;
+    case 'startsWith':
+    case 'endsWith':
+      test = (found, actual) => found && typeof actual === 'string' &&
+        typeof value === 'string' && actual[op](value);
+      break;
+    case 'regex': {
+      if (typeof value !== 'string') {
+        throw new Error('The regex operator needs a string value');
+      }
+      const regex = new RegExp(value, condition.flags ?? '');
+      test = (found, actual) => found && typeof actual === 'string' && regex.test(actual);
+      break;
+    }
+    case 'exists':
+      test = (found) => found === (value ?? true);
+      break;
+    case 'type':
+      test = (found, actual) => found && jsonType(actual) === value;
+      break;
+  }
+
+  return (node, depth) => {
+    const { found, value: actual } = select(node, depth);
+    return test(found, actual);
+  };
+}
+
+/**
+ * Compile a filter into a predicate (node, depth) => boolean
+ * node is { path, value } as passed to findNodes predicates
+ * Throws on malformed filters, so they can be rejected before any reads
+ */
+export function compileFilter(filter) {
+  if (filter === null || typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new Error('A filter must be an object');
+  }
+
+  if ('all' in filter || 'any' in filter) {
+    const list = filter.all ?? filter.any;
+    if (!Array.isArray(list)) {
+      throw new Error('all/any filters need an array of filters');
+    }
+    const predicates = list.map(compileFilter);
+    return 'all' in filter
+      ? (node, depth) => predicates.every(predicate => predicate(node, depth))
+      : (node, depth) => predicates.some(predicate => predicate(node, depth));
+  }
+
+  if ('not' in filter) {
+    const predicate = compileFilter(filter.not);
+    return (node, depth) => !predicate(node, depth);
+  }
+
+  return compileCondition(filter);
+}
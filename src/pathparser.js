@@ -360,9 +360,151 @@ class PathParser {
     joinPath(components) {
         return this.createPath(components);
     }
+
+    // Parse a glob pattern into segment matchers:
+    //   { type: 'literal', value }  - exact component (escapes decoded as in parsePath)
+    //   { type: 'glob', regex }     - one component matching * and {a,b} alternatives
+    //   { type: 'globstar' }        - ** on its own, matching zero or more components
+    // Glob characters can be matched literally by escaping them, e.g. \* or \{
+    parsePattern(patternString) {
+        return this.splitRawSegments(patternString)
+            .filter(segment => segment !== '')
+            .map(segment => {
+                if (segment === '**') {
+                    return { type: 'globstar' };
+                }
+                const glob = this.parseGlobSegment(segment);
+                if (glob === null) {
+                    return { type: 'literal', value: this.decodeComponent(segment) };
+                }
+                return { type: 'glob', regex: new RegExp(`^${glob}$`) };
+            });
+    }
+
+    // Split a path string at unescaped separators, leaving escapes undecoded
+    splitRawSegments(pathString) {
+        const segments = [];
+        let current = '';
+        let i = 0;
+
+        while (i < pathString.length) {
+            const char = pathString[i];
+            if (char === '\\' && this.enabledMethods.has(EscapeMethod.BACKSLASH_ESCAPES) && i + 1 < pathString.length) {
+                current += pathString.slice(i, i + 2);
+                i += 2;
+            } else if (char === '/') {
+                segments.push(current);
+                current = '';
+                i++;
+            } else {
+                current += char;
+                i++;
+            }
+        }
+        segments.push(current);
+
+        return segments;
+    }
+
+    // Decode a single raw component using the enabled escape methods
+    decodeComponent(rawComponent) {
+        return rawComponent === '' ? '' : this.parsePath(rawComponent)[0];
+    }
+
+    // Convert a raw component containing glob syntax into a regex source,
+    // or return null if it has no unescaped glob characters
+    parseGlobSegment(rawSegment) {
+        let source = '';
+        let literal = '';
+        let isGlob = false;
+        let i = 0;
+
+        const flushLiteral = () => {
+            source += this.escapeRegex(this.decodeComponent(literal));
+            literal = '';
+        };
+
+        while (i < rawSegment.length) {
+            const char = rawSegment[i];
+            if (char === '\\' && this.enabledMethods.has(EscapeMethod.BACKSLASH_ESCAPES) && i + 1 < rawSegment.length) {
+                literal += rawSegment.slice(i, i + 2);
+                i += 2;
+            } else if (char === '*') {
+                flushLiteral();
+                source += '[\\s\\S]*';
+                isGlob = true;
+                i++;
+            } else if (char === '{') {
+                const close = this.findClosingBrace(rawSegment, i + 1);
+                if (close === -1) {
+                    // Unbalanced brace, treat as literal
+                    literal += char;
+                    i++;
+                    continue;
+                }
+                flushLiteral();
+                const alternatives = this.splitAlternatives(rawSegment.slice(i + 1, close))
+                    .map(alternative => this.parseGlobSegment(alternative) ?? this.escapeRegex(this.decodeComponent(alternative)));
+                source += `(?:${alternatives.join('|')})`;
+                isGlob = true;
+                i = close + 1;
+            } else {
+                literal += char;
+                i++;
+            }
+        }
+        flushLiteral();
+
+        return isGlob ? source : null;
+    }
+
+    // Find the unescaped } closing a brace group whose contents start at
+    // start, skipping over nested groups, or -1 if it is never closed
+    findClosingBrace(text, start) {
+        let depth = 0;
+        for (let i = start; i < text.length; i++) {
+            if (text[i] === '\\' && this.enabledMethods.has(EscapeMethod.BACKSLASH_ESCAPES)) {
+                i++;
+            } else if (text[i] === '{') {
+                depth++;
+            } else if (text[i] === '}') {
+                if (depth === 0) {
+                    return i;
+                }
+                depth--;
+            }
+        }
+        return -1;
+    }
+
+    // Split the contents of a brace group at its unescaped top-level commas,
+    // leaving commas inside nested groups to the alternative they belong to
+    splitAlternatives(text) {
+        const parts = [];
+        let start = 0;
+        let i = 0;
+        while (i < text.length) {
+            if (text[i] === '\\' && this.enabledMethods.has(EscapeMethod.BACKSLASH_ESCAPES)) {
+                i += 2;
+            } else if (text[i] === '{') {
+                const close = this.findClosingBrace(text, i + 1);
+                i = close === -1 ? i + 1 : close + 1;
+            } else if (text[i] === ',') {
+                parts.push(text.slice(start, i));
+                start = ++i;
+            } else {
+                i++;
+            }
+        }
+        parts.push(text.slice(start));
+        return parts;
+    }
+
+    // Escape regular expression metacharacters in literal text
+    escapeRegex(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
 }
 
 // Export for use
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { PathParser, EscapeMethod };
-}
+export { PathParser, EscapeMethod };
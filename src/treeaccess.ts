@@ -0,0 +1,345 @@
+import KVTreeStorage, { RESERVED_ROOT } from "./cfkvtree.js";
+import DurableTreeStorage from "./cfdotree.js";
+import type { TreeCache } from "./treecache.js";
+import { PathParser } from "./pathparser.js";
+import { treePrincipal } from "./auth";
+
+// Shared by the MCP tools and the HTTP endpoints
+
+export const pathParser = new PathParser();
+
+// Reject paths inside the tree's reserved bookkeeping subtree
+export function checkPath(pathArray: string[]): string[] {
+	if (pathArray[0] === RESERVED_ROOT) {
+		throw new Error(`Path is reserved: /${RESERVED_ROOT}`);
+	}
+	return pathArray;
+}
+
+// Machine-readable codes for failed tree operations
+export type TreeErrorCode =
+	| "NOT_FOUND"
+	| "PARENT_MISSING"
+	| "CONFLICT"
+	| "LOCKED"
+	| "UNAUTHENTICATED"
+	| "FORBIDDEN"
+	| "INVALID_PATH"
+	| "INVALID_ARGUMENT"
+	| "UNAVAILABLE";
+
+// Codes by error message, first match wins; storage errors are plain Errors
+// (they cross the Durable Object RPC boundary as messages), so the message is
+// all there is to go on. Retry failures come first as they wrap the cause's
+// message. Anything unmatched is INVALID_ARGUMENT
+const ERROR_CODES: [string, TreeErrorCode][] = [
+	["failed after", "UNAVAILABLE"],
+	["is being migrated", "UNAVAILABLE"],
+	["Parent node does not exist", "PARENT_MISSING"],
+	["Target parent does not exist", "PARENT_MISSING"],
+	["does not exist", "NOT_FOUND"],
+	["No retained revision", "NOT_FOUND"],
+	["already exists", "CONFLICT"],
+	["Lock is not held", "CONFLICT"],
+	["Could not allocate a lock fence", "CONFLICT"],
+	["is locked", "LOCKED"],
+	["Missing or invalid bearer token", "UNAUTHENTICATED"],
+	["Access denied", "FORBIDDEN"],
+	["belongs to another principal", "FORBIDDEN"],
+	["Path is reserved", "INVALID_PATH"],
+	["Invalid URL encoding", "INVALID_PATH"],
+	["resource URI", "INVALID_PATH"],
+	["Node name is too long", "INVALID_PATH"],
+	["Node names must not be empty", "INVALID_PATH"],
+	["Cannot delete root node", "INVALID_PATH"],
+	["Cannot move root node", "INVALID_PATH"],
+	["into its own subtree", "INVALID_PATH"],
+	["without a new name", "INVALID_PATH"],
+];
+
+// Describe a thrown error as { code, message }
+export function describeError(error: unknown): {
+	code: TreeErrorCode;
+	message: string;
+} {
+	const message = error instanceof Error ? error.message : String(error);
+	const match = ERROR_CODES.find(([pattern]) => message.includes(pattern));
+	return { code: match ? match[1] : "INVALID_ARGUMENT", message };
+}
+
+// Parse a PathParser-style path string into components, an empty path means the root
+export function parsePath(path?: string | null): string[] {
+	return checkPath(pathParser.parsePath(path || "/"));
+}
+
+// Parse a glob pattern into PathParser.parsePattern segments, rejecting
+// patterns that name the reserved subtree as parsePath does
+export function parsePattern(pattern: string) {
+	const segments = pathParser.parsePattern(pattern);
+	const first = segments[0];
+	if (first?.type === "literal" && first.value !== undefined) {
+		checkPath([first.value]);
+	}
+	return segments;
+}
+
+// Format path components as an absolute, escaped path string
+export function formatPath(pathArray: string[]): string {
+	return `/${pathParser.createPath(pathArray)}`;
+}
+
+// An fsck report (see KVTreeStorage.fsck) with its paths formatted
+export function formatFsckReport(report: {
+	issues: { path?: string[] | null; recordedParent?: unknown }[];
+}) {
+	return {
+		...report,
+		issues: report.issues.map((issue) => ({
+			...issue,
+			...(issue.path ? { path: formatPath(issue.path) } : {}),
+			...(Array.isArray(issue.recordedParent)
+				? { recordedParent: formatPath(issue.recordedParent) }
+				: {}),
+		})),
+	};
+}
+
+// Format path components as an absolute path for use in a URL, with each
+// component URL-encoded
+export function formatUrlPath(pathArray: string[]): string {
+	return formatPath(pathArray).split("/").map(encodeURIComponent).join("/");
+}
+
+// Scheme of the MCP resource URIs naming tree nodes, e.g. kvtree:///users/alice
+export const RESOURCE_SCHEME = "kvtree://";
+
+export function formatResourceUri(pathArray: string[]): string {
+	return `${RESOURCE_SCHEME}${formatUrlPath(pathArray)}`;
+}
+
+export function parseResourceUri(uri: string): string[] {
+	if (!uri.startsWith(RESOURCE_SCHEME)) {
+		throw new Error(`Not a ${RESOURCE_SCHEME} resource URI: ${uri}`);
+	}
+	let path: string;
+	try {
+		path = decodeURIComponent(uri.slice(RESOURCE_SCHEME.length));
+	} catch {
+		throw new Error(`Invalid URL encoding in resource URI: ${uri}`);
+	}
+	return parsePath(path);
+}
+
+// A change to the tree, as passed to KVTreeStorage's onChange
+export type TreeChange = {
+	op: "create" | "set" | "delete" | "move";
+	path: string[];
+	targetPath?: string[];
+	oldValue: unknown;
+	newValue: unknown;
+	version: number;
+	session: string | null;
+	timestamp: number;
+	// Added when the change is published
+	namespace?: string;
+};
+
+// The Durable Object fanning change events out to subscribers
+export function openChangeHub(env: Env) {
+	return env.CHANGE_HUB.get(env.CHANGE_HUB.idFromName("changes"));
+}
+
+// What a tree needs to publish its changes after the write has returned: the
+// ExecutionContext of a Worker request, or a Durable Object's state
+export type BackgroundContext = {
+	waitUntil(promise: Promise<unknown>): void;
+};
+
+// Namespaces a tree can be opened in: the global tree everyone shares (the
+// default), the caller's private tree, or a shared namespace by name. Each is
+// stored under its own key prefix, so none can see another's nodes
+export const GLOBAL_NAMESPACE = "global";
+export const PRIVATE_NAMESPACE = "private";
+
+// Shared namespace names; "-" would let one name's key prefix contain another's
+const SHARED_NAMESPACE_NAME = /^[A-Za-z0-9_.]{1,64}$/;
+
+export type TreeNamespace = {
+	name: string;
+	prefix: string;
+	// Client a private namespace belongs to, null for shared ones
+	owner: string | null;
+};
+
+// Resolve a namespace name for a client (its principal, or its MCP session when
+// auth is off), which only the private namespace depends on
+export function resolveNamespace(
+	name: string,
+	client: string | null,
+): TreeNamespace {
+	if (name === GLOBAL_NAMESPACE) {
+		return { name, prefix: "tree", owner: null };
+	}
+	if (name === PRIVATE_NAMESPACE) {
+		if (client === null) {
+			throw new Error(
+				"The private namespace needs an authenticated client or an MCP session",
+			);
+		}
+		// Hex keeps any principal name clear of the "-" that ends a prefix
+		const hex = Array.from(new TextEncoder().encode(client), (byte) =>
+			byte.toString(16).padStart(2, "0"),
+		).join("");
+		return { name, prefix: `private-${hex}`, owner: client };
+	}
+	if (!SHARED_NAMESPACE_NAME.test(name)) {
+		throw new Error(
+			`Namespace names are 1 to 64 letters, digits, "_" or ".": ${name}`,
+		);
+	}
+	return { name, prefix: `shared-${name}`, owner: null };
+}
+
+// Open a tree on the backend selected by TREE_BACKEND
+function openStorage(env: Env, options: Record<string, unknown>) {
+	return env.TREE_BACKEND === "durable-object"
+		? new DurableTreeStorage(env.TREE_STORE, options)
+		: new KVTreeStorage(env.globaldata, options);
+}
+
+// Open the global tree for its record of namespaces
+async function openRegistry(env: Env, cache: TreeCache | null = null) {
+	const tree = openStorage(env, { cache });
+	await tree.initializeRoot();
+	return tree;
+}
+
+export type TreeStorage = ReturnType<typeof createTree>;
+
+// Create storage for the tree in namespace on the backend selected by
+// TREE_BACKEND, attributing writes to session and checking operations against
+// principal's access grants (null for none). The private namespace belongs to
+// the principal, or to the session when auth is off, and is unrestricted for
+// its owner. Locks taken through it belong to the principal, or to the session
+// when auth is off. Every change outside private namespaces is published to the
+// change hub in the background of ctx, in order, without holding up the write.
+// A long-lived caller passes a cache to keep between operations
+// Nothing is read or written until initializeTree
+export function createTree(
+	env: Env,
+	ctx: BackgroundContext,
+	session: string | null,
+	principal: string | null = null,
+	namespace: string = GLOBAL_NAMESPACE,
+	cache: TreeCache | null = null,
+) {
+	const resolved = resolveNamespace(namespace, principal ?? session);
+	const isPrivate = resolved.name === PRIVATE_NAMESPACE;
+	// Tail of this tree's queued publishes
+	let publishing: Promise<void> = Promise.resolve();
+	const options = {
+		prefix: resolved.prefix,
+		session,
+		cache,
+		principal: isPrivate ? null : treePrincipal(env, principal),
+		owner: principal ?? session,
+		historyRetention: Number(env.HISTORY_RETENTION ?? 20),
+		onChange: isPrivate
+			? undefined
+			: (event: TreeChange) => {
+					publishing = publishing
+						.then(() =>
+							openChangeHub(env).publish([
+								{ ...event, namespace: resolved.name },
+							]),
+						)
+						.catch((error) => {
+							// The write has happened; a feed outage must not fail it
+							console.error("Failed to publish tree change", error);
+						});
+					ctx.waitUntil(publishing);
+				},
+	};
+	return openStorage(env, options);
+}
+
+// Create a tree's root node on first use, recording its namespace when it is
+// not the global one; cheap once the tree's cache knows the root exists
+export async function initializeTree(
+	env: Env,
+	tree: TreeStorage,
+	session: string | null,
+	principal: string | null = null,
+	namespace: string = GLOBAL_NAMESPACE,
+) {
+	if ((await tree.initializeRoot()) && namespace !== GLOBAL_NAMESPACE) {
+		await (await openRegistry(env, tree.cache)).registerNamespace(
+			resolveNamespace(namespace, principal ?? session),
+		);
+	}
+}
+
+// Open the tree in namespace, creating its root node on first use; see
+// createTree
+export async function openTree(
+	env: Env,
+	ctx: BackgroundContext,
+	session: string | null,
+	principal: string | null = null,
+	namespace: string = GLOBAL_NAMESPACE,
+) {
+	const tree = createTree(env, ctx, session, principal, namespace);
+	await initializeTree(env, tree, session, principal, namespace);
+	return tree;
+}
+
+// Delete everything stored in a namespace other than the global one and forget
+// it; returns the number of keys deleted. Purging a shared namespace needs
+// admin access to its root
+export async function purgeNamespace(
+	env: Env,
+	session: string | null,
+	principal: string | null,
+	namespace: string,
+	cache: TreeCache | null = null,
+): Promise<number> {
+	if (namespace === GLOBAL_NAMESPACE) {
+		throw new Error("The global namespace cannot be purged");
+	}
+	const resolved = resolveNamespace(namespace, principal ?? session);
+	const tree = openStorage(env, {
+		prefix: resolved.prefix,
+		cache,
+		principal:
+			resolved.name === PRIVATE_NAMESPACE
+				? null
+				: treePrincipal(env, principal),
+	});
+	const deleted = await tree.purgeStorage();
+	await (await openRegistry(env, cache)).unregisterNamespace(resolved.prefix);
+	return deleted;
+}
+
+// List the namespaces a client can open: the global one, shared ones and its
+// own private one, if it has been used. Admins (and everyone when auth is off)
+// see every private namespace too
+export async function listNamespaces(
+	env: Env,
+	session: string | null,
+	principal: string | null,
+	cache: TreeCache | null = null,
+) {
+	const client = principal ?? session;
+	const unrestricted =
+		principal === null || treePrincipal(env, principal) === null;
+	const recorded: (TreeNamespace & { createdAt: number })[] = await (
+		await openRegistry(env, cache)
+	).listNamespaces();
+	return [
+		{ name: GLOBAL_NAMESPACE, prefix: "tree", owner: null, createdAt: null },
+		...recorded.filter(
+			(namespace) =>
+				namespace.owner === null || unrestricted || namespace.owner === client,
+		),
+	];
+}
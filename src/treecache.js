@@ -0,0 +1,228 @@
+/**
+ * Tree Storage Cache
+ * Bounded in-memory caches a long-lived KVTreeStorage keeps between
+ * operations: path hashes, nodes known to exist and recently read values,
+ * along with counters of cache hits and backend round trips
+ * One cache can be shared by several trees (namespaces), as entries are
+ * keyed by full storage key
+ */
+
+// Default number of entries kept in each cache
+const DEFAULT_LIMITS = { hashes: 4096, nodes: 4096, values: 512, upgraded: 4096 };
+
+// Longer values are not cached, so the value cache stays within a few MB
+const MAX_CACHED_VALUE_LENGTH = 16 * 1024;
+
+// How long cached nodes and values are trusted, since other Workers can
+// change the tree behind this one's back; KV reads may be stale for longer
+const DEFAULT_MAX_AGE_MS = 5 * 1000;
+
+/**
+ * Map evicting its least recently used entry once it grows past limit
+ */
+class BoundedMap {
+  constructor(limit, onEvict) {
+    this.limit = limit;
+    this.onEvict = onEvict;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (entry !== undefined) {
+      // Re-insert, so the map's iteration order runs from least recently used
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    if (this.entries.size > this.limit) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.onEvict();
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+export class TreeCache {
+  /**
+   * options.limits overrides the number of entries kept per cache, any of
+   * { hashes, nodes, values, upgraded }
+   * options.maxAgeMs is how long node and value entries are trusted;
+   * Infinity suits a cache only ever used by the tree's sole writer
+   */
+  constructor(options = {}) {
+    this.limits = { ...DEFAULT_LIMITS, ...options.limits };
+    this.maxAgeMs = options.maxAgeMs ?? DEFAULT_MAX_AGE_MS;
+    this.counters = TreeCache.emptyCounters();
+    const evicted = () => { this.counters.evictions++; };
+    // Path string -> hash; hashes never go stale
+    this.hashes = new BoundedMap(this.limits.hashes, evicted);
+    // Value key -> { expiration, cachedAt } of nodes known to exist
+    this.nodes = new BoundedMap(this.limits.nodes, evicted);
+    // Value key -> { serialized, version, expiration, cachedAt }
+    this.values = new BoundedMap(this.limits.values, evicted);
+    // Nodes whose legacy children list is known to be gone, by its key;
+    // nothing writes one any more, so these never go stale either
+    this.upgraded = new BoundedMap(this.limits.upgraded, evicted);
+  }
+
+  /**
+   * Counters, all starting at zero: cache hits and misses, evictions and
+   * backend round trips (counted by a CountingBackend)
+   */
+  static emptyCounters() {
+    return {
+      hashHits: 0,
+      hashMisses: 0,
+      nodeHits: 0,
+      nodeMisses: 0,
+      valueHits: 0,
+      valueMisses: 0,
+      evictions: 0,
+      backendReads: 0,
+      backendWrites: 0,
+      backendDeletes: 0,
+      backendLists: 0
+    };
+  }
+
+  /**
+   * Whether an entry cached at cachedAt for a node expiring at expiration
+   * (epoch seconds, or null) can still be trusted
+   */
+  isFresh(entry) {
+    const now = Date.now();
+    return now - entry.cachedAt < this.maxAgeMs &&
+      (entry.expiration === null || entry.expiration * 1000 > now);
+  }
+
+  getHash(pathString) {
+    const hash = this.hashes.get(pathString);
+    if (hash === undefined) {
+      this.counters.hashMisses++;
+    } else {
+      this.counters.hashHits++;
+    }
+    return hash;
+  }
+
+  setHash(pathString, hash) {
+    this.hashes.set(pathString, hash);
+  }
+
+  /**
+   * Check whether the node with this value key is known to exist; false
+   * means unknown, not missing
+   */
+  knownToExist(valueKey) {
+    const entry = this.nodes.get(valueKey);
+    if (entry !== undefined && this.isFresh(entry)) {
+      this.counters.nodeHits++;
+      return true;
+    }
+    this.counters.nodeMisses++;
+    return false;
+  }
+
+  /**
+   * Record that the node with this value key exists
+   */
+  noteExists(valueKey, expiration = null) {
+    this.nodes.set(valueKey, { expiration, cachedAt: Date.now() });
+  }
+
+  /**
+   * Get a node's cached value record as { serialized, version, expiration },
+   * or undefined if it is not cached (or no longer trusted)
+   */
+  getValue(valueKey) {
+    const entry = this.values.get(valueKey);
+    if (entry !== undefined && this.isFresh(entry)) {
+      this.counters.valueHits++;
+      return entry;
+    }
+    this.counters.valueMisses++;
+    return undefined;
+  }
+
+  /**
+   * Cache a node's value record just read or written, which also shows it
+   * exists. Values are kept serialized, so callers cannot alter the cache
+   * through the values they are handed, and large ones are not kept at all
+   */
+  setValue(valueKey, serialized, version, expiration = null) {
+    const cachedAt = Date.now();
+    if (serialized.length <= MAX_CACHED_VALUE_LENGTH) {
+      this.values.set(valueKey, { serialized, version, expiration, cachedAt });
+    } else {
+      this.values.delete(valueKey);
+    }
+    this.nodes.set(valueKey, { expiration, cachedAt });
+  }
+
+  /**
+   * Forget what is known about the node with this value key
+   */
+  invalidate(valueKey) {
+    this.nodes.delete(valueKey);
+    this.values.delete(valueKey);
+  }
+
+  /**
+   * Forget every node and value, e.g. once a tree has been purged or a
+   * transaction rolled back; hashes stay valid
+   */
+  invalidateAll() {
+    this.nodes.clear();
+    this.values.clear();
+  }
+
+  isUpgraded(childrenKey) {
+    return this.upgraded.get(childrenKey) !== undefined;
+  }
+
+  noteUpgraded(childrenKey) {
+    this.upgraded.set(childrenKey, true);
+  }
+
+  /**
+   * Describe the cache as { counters, entries, limits, maxAgeMs }
+   * With reset, the counters start again from zero afterwards
+   */
+  getStats(options = {}) {
+    const stats = {
+      counters: { ...this.counters },
+      entries: {
+        hashes: this.hashes.size,
+        nodes: this.nodes.size,
+        values: this.values.size,
+        upgraded: this.upgraded.size
+      },
+      limits: { ...this.limits },
+      // Infinity does not survive JSON
+      maxAgeMs: Number.isFinite(this.maxAgeMs) ? this.maxAgeMs : null
+    };
+    if (options.reset) {
+      this.counters = TreeCache.emptyCounters();
+    }
+    return stats;
+  }
+}
+
+export default TreeCache;
@@ -0,0 +1,140 @@
+/**
+ * Tree import/export formats
+ *
+ *   nested  the { value, children: { name: { value, children } } } structure
+ *           produced by KVTreeStorage.exportTree
+ *   flat    an object mapping paths to values:
+ *           { "/": null, "/users": null, "/users/a\/b": { "age": 3 } }
+ *   ndjson  one { "path", "value" } object per line, parents before children
+ *
+ * Paths in flat and NDJSON data are relative to the exported node and written
+ * with PathParser.createPath escaping, so names containing "/", "%", "&" or
+ * non-ASCII characters round-trip. Nodes in nested data that have no value
+ * (containers in a paged export) are left out of the other formats.
+ */
+import { PathParser } from './pathparser.js';
+
+export const TREE_FORMATS = ['nested', 'flat', 'ndjson'];
+
+const pathParser = new PathParser();
+
+/**
+ * Write a relative path as an escaped path string, '/' for the start node
+ * Empty names have no path syntax, so they cannot be written
+ */
+export function formatRelativePath(relativePath) {
+  if (relativePath.includes('')) {
+    throw new Error(`Node names must not be empty: ${JSON.stringify(relativePath)}`);
+  }
+  return `/${pathParser.createPath(relativePath)}`;
+}
+
+/**
+ * List the nodes of nested tree data as { path, value } in pre-order
+ */
+export function treeToNodes(treeData, relativePath = [], nodes = []) {
+  if (treeData.value !== undefined) {
+    nodes.push({ path: relativePath, value: treeData.value });
+  }
+  for (const [childKey, childData] of Object.entries(treeData.children ?? {})) {
+    treeToNodes(childData, [...relativePath, childKey], nodes);
+  }
+  return nodes;
+}
+
+/**
+ * Build nested tree data from { path, value } nodes in any order
+ * Ancestors missing from the list become containers without a value
+ */
+export function nodesToTree(nodes) {
+  const treeData = {};
+  for (const { path, value } of nodes) {
+    let target = treeData;
+    for (const childKey of path) {
+      target.children ??= {};
+      target.children[childKey] ??= {};
+      target = target.children[childKey];
+    }
+    target.value = value;
+  }
+  return treeData;
+}
+
+/**
+ * Encode one node as an NDJSON line, including the trailing newline
+ */
+export function nodeToNdjsonLine(relativePath, value) {
+  return `${JSON.stringify({ path: formatRelativePath(relativePath), value })}\n`;
+}
+
+/**
+ * Convert nested tree data into the given format
+ */
+export function encodeTree(format, treeData) {
+  switch (format) {
+    case 'nested':
+      return treeData;
+    case 'flat':
+      return Object.fromEntries(treeToNodes(treeData)
+        .map(({ path, value }) => [formatRelativePath(path), value]));
+    case 'ndjson':
+      return treeToNodes(treeData)
+        .map(({ path, value }) => nodeToNdjsonLine(path, value))
+        .join('');
+    default:
+      throw new Error(`Unknown tree format: ${format}`);
+  }
+}
+
+/**
+ * Convert data in the given format into nested tree data
+ * Flat data must be an object and NDJSON data a string
+ */
+export function decodeTree(format, data) {
+  switch (format) {
+    case 'nested':
+      if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Nested tree data must be an object');
+      }
+      return data;
+    case 'flat':
+      if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Flat tree data must be an object mapping paths to values');
+      }
+      return nodesToTree(Object.entries(data)
+        .map(([path, value]) => ({ path: pathParser.parsePath(path), value })));
+    case 'ndjson':
+      if (typeof data !== 'string') {
+        throw new Error('NDJSON tree data must be a string');
+      }
+      return nodesToTree(parseNdjson(data));
+    default:
+      throw new Error(`Unknown tree format: ${format}`);
+  }
+}
+
+/**
+ * Parse NDJSON lines into { path, value } nodes, skipping blank lines
+ */
+function parseNdjson(text) {
+  const nodes = [];
+  const lines = text.split('\n');
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (line === '') continue;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid JSON on NDJSON line ${i + 1}: ${error.message}`);
+    }
+    if (entry === null || typeof entry !== 'object' || typeof entry.path !== 'string') {
+      throw new Error(`NDJSON line ${i + 1} needs a string "path"`);
+    }
+    nodes.push({ path: pathParser.parsePath(entry.path), value: entry.value ?? null });
+  }
+
+  return nodes;
+}
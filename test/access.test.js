@@ -0,0 +1,82 @@
+/**
+ * Tests for per-path access grants, run against a MemoryBackend
+ * Run with npm test
+ */
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import KVTreeStorage, { RESERVED_ROOT } from '../src/cfkvtree.js';
+import { MemoryBackend } from '../src/kvbackends.js';
+
+/**
+ * Open a tree on kv as principal (unrestricted when null), with its root
+ * created
+ */
+async function openTree(kv, principal = null) {
+  const tree = new KVTreeStorage(kv, { principal, baseRetryDelay: 1 });
+  await tree.initializeRoot();
+  return tree;
+}
+
+describe('access control', () => {
+  let kv;
+  let admin;
+  let alice;
+
+  beforeEach(async () => {
+    kv = new MemoryBackend();
+    admin = await openTree(kv);
+    await admin.setValue(['shared', 'doc'], 'hello', { createParents: true });
+    await admin.setValue(['secret', 'key'], 'hidden', { createParents: true });
+    await admin.setValue(['team'], null, { createParents: true });
+    await admin.grantAccess(['shared'], 'alice', 'read');
+    await admin.grantAccess(['team'], 'alice', 'write');
+    alice = await openTree(kv, 'alice');
+  });
+
+  it('allows what is granted and denies the rest', async () => {
+    assert.equal(await alice.getValue(['shared', 'doc']), 'hello');
+    await assert.rejects(alice.setValue(['shared', 'doc'], 'changed'), /Access denied/);
+    await assert.rejects(alice.getValue(['secret', 'key']), /Access denied/);
+    await alice.setValue(['team', 'notes'], 'mine', { createParents: true });
+    assert.equal(await admin.getValue(['team', 'notes']), 'mine');
+  });
+
+  it('needs admin access to grant', async () => {
+    await assert.rejects(alice.grantAccess(['team'], 'alice', 'admin'), /Access denied/);
+    await assert.rejects(alice.listGrants(), /Access denied/);
+  });
+
+  it('needs write access to both ends of a move', async () => {
+    await assert.rejects(alice.moveNode(['shared', 'doc'], ['team'], 'doc'), /Access denied/);
+    await assert.rejects(alice.copySubtree(['secret'], ['team'], 'secret'), /Access denied/);
+    await alice.copySubtree(['shared'], ['team'], 'shared');
+    assert.equal(await alice.getValue(['team', 'shared', 'doc']), 'hello');
+  });
+
+  it('denies writes to the grants through imports', async () => {
+    await admin.grantAccess([], 'alice', 'write');
+    await assert.rejects(
+      alice.importTree({ children: { [RESERVED_ROOT]: { children: {} } } }),
+      /Path is reserved/
+    );
+    assert.equal(await alice.readAccess([]), 'write');
+  });
+
+  it('revokes access at once', async () => {
+    assert.equal(await alice.getValue(['shared', 'doc']), 'hello');
+    assert.equal(await admin.revokeAccess(['shared'], 'alice'), true);
+    await assert.rejects(alice.getValue(['shared', 'doc']), /Access denied/);
+  });
+
+  it('checks queryNodes at the pattern\'s literal prefix', async () => {
+    const literal = value => ({ type: 'literal', value });
+    const anyChild = { type: 'glob', regex: /^.*$/ };
+
+    const { matches } = await alice.queryNodes([literal('shared'), anyChild]);
+    assert.deepEqual(matches.map(match => match.path), [['shared', 'doc']]);
+    await assert.rejects(alice.queryNodes([literal('secret'), anyChild]), /Access denied/);
+
+    await assert.rejects(alice.queryNodes([anyChild, anyChild]), /Access denied/);
+    await assert.rejects(alice.queryNodes([anyChild], { startPath: ['secret'] }), /Access denied/);
+  });
+});
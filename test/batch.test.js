@@ -0,0 +1,88 @@
+/**
+ * Tests for batches of tree operations, run against a MemoryBackend
+ * Run with npm test
+ */
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import KVTreeStorage from '../src/cfkvtree.js';
+import { MemoryBackend } from '../src/kvbackends.js';
+
+describe('batch', () => {
+  let tree;
+
+  beforeEach(async () => {
+    tree = new KVTreeStorage(new MemoryBackend(), { baseRetryDelay: 1 });
+    await tree.initializeRoot();
+    await tree.setValue(['a'], 1, { createParents: true });
+    await tree.setValue(['gone', 'child'], 'kept', { createParents: true });
+  });
+
+  it('stops at the first failure unless continuing on errors', async () => {
+    const results = await tree.batch([
+      { op: 'create', path: ['a'], value: 2 },
+      { op: 'set', path: ['b'], value: 3 }
+    ]);
+    assert.deepEqual(results.map(result => result.ok), [false, false]);
+    assert.equal(results[1].skipped, true);
+    assert.equal(await tree.nodeExists(['b']), false);
+  });
+
+  it('rolls back an atomic batch that fails part way', async () => {
+    const createNode = tree.createNode;
+    tree.createNode = async function (pathArray, ...args) {
+      if (pathArray[0] === 'c') {
+        throw new Error('Backend unavailable');
+      }
+      return await createNode.call(this, pathArray, ...args);
+    };
+
+    await assert.rejects(
+      tree.batch([
+        { op: 'set', path: ['a'], value: 2 },
+        { op: 'create', path: ['b'], value: 3 },
+        { op: 'delete', path: ['gone'] },
+        { op: 'create', path: ['c'], value: 4 }
+      ], { atomic: true }),
+      /Batch op 3 \(create\) failed: Backend unavailable; earlier ops were rolled back/
+    );
+    delete tree.createNode;
+
+    assert.equal(await tree.getValue(['a']), 1);
+    assert.equal(await tree.nodeExists(['b']), false);
+    assert.equal(await tree.getValue(['gone', 'child']), 'kept');
+    assert.equal(await tree.nodeExists(['c']), false);
+  });
+
+  it('sets only existing nodes unless createParents is given', async () => {
+    const strict = await tree.batch([{ op: 'set', path: ['new', 'node'], value: 1 }]);
+    assert.equal(strict[0].ok, false);
+    assert.match(strict[0].error.message, /Node does not exist/);
+    await assert.rejects(tree.batch([{ op: 'set', path: ['new', 'node'], value: 1 }], { atomic: true }),
+      /would fail: Node does not exist/);
+
+    const [created] = await tree.batch([{ op: 'set', path: ['new', 'node'], value: 1, createParents: true }]);
+    assert.deepEqual(created.created, [['new'], ['new', 'node']]);
+  });
+
+  it('checks an atomic batch before running any of it', async () => {
+    await assert.rejects(
+      tree.batch([
+        { op: 'set', path: ['a'], value: 2 },
+        { op: 'delete', path: ['missing'] }
+      ], { atomic: true }),
+      /Batch op 1 \(delete\) would fail: Node does not exist/
+    );
+    assert.equal(await tree.getValue(['a']), 1);
+  });
+
+  it('checks atomic batch moves and copies up front', async () => {
+    await assert.rejects(
+      tree.batch([
+        { op: 'set', path: ['x'], value: 1, createParents: true },
+        { op: 'copy', source: ['gone'], targetParent: ['gone', 'child'] }
+      ], { atomic: true }),
+      /Batch op 1 \(copy\) would fail: .*into its own subtree/
+    );
+    assert.equal(await tree.nodeExists(['x']), false);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Tests for KVTreeStorage, run against a MemoryBackend
+ * Run with npm test
+ */
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import KVTreeStorage, { RESERVED_ROOT } from '../src/cfkvtree.js';
+import { MemoryBackend } from '../src/kvbackends.js';
+
+/**
+ * Open a tree on kv as principal (unrestricted when null), with its root
+ * created
+ */
+async function openTree(kv, principal = null) {
+  const tree = new KVTreeStorage(kv, { principal, baseRetryDelay: 1 });
+  await tree.initializeRoot();
+  return tree;
+}
+
+describe('moveNode and copySubtree', () => {
+  let tree;
+
+  beforeEach(async () => {
+    tree = await openTree(new MemoryBackend());
+    await tree.setValue(['a', 'b'], 1, { createParents: true });
+  });
+
+  it('moves a subtree to a new parent', async () => {
+    await tree.createNode(['c']);
+    await tree.moveNode(['a'], ['c'], 'a');
+    assert.equal(await tree.nodeExists(['a']), false);
+    assert.equal(await tree.getValue(['c', 'a', 'b']), 1);
+  });
+
+  it('refuses to move a node into its own subtree', async () => {
+    await assert.rejects(tree.moveNode(['a'], ['a', 'b'], 'a'), /into its own subtree/);
+    await assert.rejects(tree.moveNode(['a'], ['a'], 'x'), /into its own subtree/);
+    assert.equal(await tree.getValue(['a', 'b']), 1);
+    assert.deepEqual(await tree.getChildren(['a']), ['b']);
+  });
+
+  it('refuses to copy a node into its own subtree', async () => {
+    await assert.rejects(tree.copySubtree(['a'], ['a', 'b'], 'a'), /into its own subtree/);
+    assert.deepEqual(await tree.getChildren(['a', 'b']), []);
+  });
+
+  it('checks a copy\'s source and target itself', async () => {
+    await tree.createNode(['c']);
+    await assert.rejects(tree.copySubtree(['missing'], ['c'], 'x'), /Source node does not exist: missing/);
+    await assert.rejects(tree.copySubtree(['a'], ['missing'], 'x'), /Target parent does not exist: missing/);
+    await assert.rejects(tree.copySubtree(['a'], [], 'c'), /Target path already exists: c/);
+
+    await tree.copySubtree(['a'], ['c'], 'copy');
+    assert.equal(await tree.getValue(['c', 'copy', 'b']), 1);
+    assert.equal(await tree.getValue(['a', 'b']), 1);
+  });
+
+  it('refuses to move or copy the root', async () => {
+    await assert.rejects(tree.moveNode([], ['a'], 'root'), /Cannot move root node/);
+    await assert.rejects(tree.copySubtree([], ['a'], 'root'), /into its own subtree/);
+    await assert.rejects(tree.copySubtree([], ['a']), /without a new name/);
+  });
+});
+
+describe('importTree', () => {
+  let tree;
+
+  beforeEach(async () => {
+    tree = await openTree(new MemoryBackend());
+  });
+
+  it('imports nodes and counts them', async () => {
+    const counts = await tree.importTree({ children: { a: { value: 1, children: { b: { value: 2 } } } } });
+    assert.deepEqual(counts, { created: 2, updated: 0, skipped: 1 });
+    assert.equal(await tree.getValue(['a', 'b']), 2);
+  });
+
+  it('refuses data reaching the reserved root child', async () => {
+    const grants = { children: { acl: { children: { '[]': { value: { path: [], grants: { mallory: 'admin' } } } } } } };
+    await assert.rejects(tree.importTree({ children: { [RESERVED_ROOT]: grants } }), /Path is reserved/);
+    await assert.rejects(tree.importTree(grants, [RESERVED_ROOT]), /Path is reserved/);
+    await assert.rejects(tree.importTree({ children: { [RESERVED_ROOT]: grants } }, [], { mode: 'replace' }),
+      /Path is reserved/);
+    assert.deepEqual(await tree.listGrants(), []);
+  });
+
+  it('leaves the tree alone when replace is refused', async () => {
+    await tree.setValue(['keep'], 'me', { createParents: true });
+    await assert.rejects(tree.importTree({ children: { [RESERVED_ROOT]: {} } }, [], { mode: 'replace' }),
+      /Path is reserved/);
+    assert.equal(await tree.getValue(['keep']), 'me');
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Tests for KVTreeStorage.fsck, run against a MemoryBackend
+ * Run with npm test
+ */
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import KVTreeStorage from '../src/cfkvtree.js';
+import { MemoryBackend } from '../src/kvbackends.js';
+
+describe('fsck', () => {
+  let kv;
+  let tree;
+
+  beforeEach(async () => {
+    kv = new MemoryBackend();
+    tree = new KVTreeStorage(kv, { baseRetryDelay: 1 });
+    await tree.initializeRoot();
+    await tree.setValue(['a', 'b', 'c'], 1, { createParents: true });
+  });
+
+  it('finds nothing wrong with a sound tree', async () => {
+    const report = await tree.fsck();
+    assert.equal(report.nodes, 4);
+    assert.deepEqual(report.issues, []);
+  });
+
+  it('finds and removes child entries with no node behind them', async () => {
+    await kv.delete(await tree.createStorageKey(['a', 'b', 'c'], 'value'));
+    const { issues } = await tree.fsck({ repair: true });
+    assert.deepEqual(issues.filter(issue => issue.type === 'dangling-child'),
+      [{ type: 'dangling-child', path: ['a', 'b', 'c'] }]);
+    assert.deepEqual(await tree.getChildren(['a', 'b']), []);
+  });
+
+  it('relinks an orphan whose path can be recovered', async () => {
+    await tree.removeChildFromParent(['a'], 'b');
+    const { issues } = await tree.fsck({ repair: true });
+    assert.deepEqual(issues.map(issue => [issue.type, issue.path, issue.action]),
+      [['orphan', ['a', 'b'], 'relink']]);
+    assert.equal(await tree.getValue(['a', 'b', 'c']), 1);
+    assert.deepEqual((await tree.fsck()).issues, []);
+  });
+
+  it('rejects a tree without a root with the shared missing-node error', async () => {
+    const empty = new KVTreeStorage(new MemoryBackend(), { baseRetryDelay: 1 });
+    await assert.rejects(empty.fsck(), /^Error: Node does not exist: $/);
+  });
+});
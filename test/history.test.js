@@ -0,0 +1,79 @@
+/**
+ * Tests for per-node revision history and revert
+ * Run with npm test
+ */
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import KVTreeStorage from '../src/cfkvtree.js';
+import { MemoryBackend } from '../src/kvbackends.js';
+
+describe('history', () => {
+  let now;
+  let kv;
+  let tree;
+
+  beforeEach(async () => {
+    now = 1_700_000_000_000;
+    mock.method(Date, 'now', () => now);
+    kv = new MemoryBackend();
+    tree = new KVTreeStorage(kv, { session: 'writer', historyRetention: 3, baseRetryDelay: 1 });
+    await tree.initializeRoot();
+    for (const value of ['one', 'two', 'three']) {
+      await tree.setValue(['doc'], value, { createParents: true });
+      now += 1000;
+    }
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('lists revisions oldest first with their writer', async () => {
+    const { revisions, cursor } = await tree.listHistory(['doc']);
+    assert.deepEqual(revisions.map(({ revision, value, session }) => [revision, value, session]),
+      [[1, 'one', 'writer'], [2, 'two', 'writer'], [3, 'three', 'writer']]);
+    assert.equal(cursor, null);
+
+    const first = await tree.listHistory(['doc'], { limit: 2 });
+    const rest = await tree.listHistory(['doc'], { limit: 2, cursor: first.cursor });
+    assert.deepEqual([...first.revisions, ...rest.revisions].map(entry => entry.revision), [1, 2, 3]);
+  });
+
+  it('keeps only the retained revisions', async () => {
+    await tree.setValue(['doc'], 'four');
+    const { revisions } = await tree.listHistory(['doc']);
+    assert.deepEqual(revisions.map(entry => entry.revision), [2, 3, 4]);
+
+    const shorter = new KVTreeStorage(kv, { historyRetention: 1, baseRetryDelay: 1 });
+    await shorter.setValue(['doc'], 'five');
+    assert.deepEqual((await tree.listHistory(['doc'])).revisions.map(entry => entry.revision), [5]);
+  });
+
+  it('reads a node as of a revision or a time', async () => {
+    assert.equal((await tree.readAsOf(['doc'], { revision: 2 })).value, 'two');
+    assert.equal((await tree.readAsOf(['doc'], { timestamp: 1_700_000_001_500 })).value, 'two');
+    await assert.rejects(tree.readAsOf(['doc'], { timestamp: 1_600_000_000_000 }), /No retained revision of doc/);
+    await assert.rejects(tree.readAsOf(['doc'], { revision: 9 }), /No retained revision of doc at revision 9/);
+  });
+
+  it('reverts by writing the old value as a new revision', async () => {
+    assert.deepEqual(await tree.revertNode(['doc'], 1), { revertedTo: 1, version: 4 });
+    assert.equal(await tree.getValue(['doc']), 'one');
+    const { revisions } = await tree.listHistory(['doc']);
+    assert.deepEqual(revisions.map(entry => entry.value), ['two', 'three', 'one']);
+  });
+
+  it('starts a new node at a deleted node\'s path without its history', async () => {
+    await tree.deleteNode(['doc']);
+    await tree.setValue(['doc'], 'fresh', { createParents: true });
+    const { revisions } = await tree.listHistory(['doc']);
+    assert.deepEqual(revisions.map(entry => [entry.revision, entry.value]), [[1, 'fresh']]);
+  });
+
+  it('keeps no history when retention is 0', async () => {
+    const untracked = new KVTreeStorage(new MemoryBackend(), { historyRetention: 0, baseRetryDelay: 1 });
+    await untracked.initializeRoot();
+    await untracked.setValue(['doc'], 1, { createParents: true });
+    assert.deepEqual((await untracked.listHistory(['doc'])).revisions, []);
+  });
+});
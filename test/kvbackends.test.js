@@ -0,0 +1,118 @@
+/**
+ * Tests for the KV backend contract, run against each backend
+ * Run with npm test
+ */
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryBackend, DurableObjectBackend, CountingBackend } from '../src/kvbackends.js';
+
+/**
+ * Durable Object storage on a Map, with the get/put/delete/list calls
+ * DurableObjectBackend makes
+ */
+class MapStorage {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return structuredClone(this.entries.get(key));
+  }
+
+  async put(key, value) {
+    this.entries.set(key, structuredClone(value));
+  }
+
+  async delete(key) {
+    return this.entries.delete(key);
+  }
+
+  async list({ prefix = '', startAfter, limit = Infinity } = {}) {
+    const names = [...this.entries.keys()]
+      .filter(name => name.startsWith(prefix) && (startAfter === undefined || name > startAfter))
+      .sort()
+      .slice(0, limit);
+    return new Map(names.map(name => [name, structuredClone(this.entries.get(name))]));
+  }
+}
+
+const BACKENDS = {
+  MemoryBackend: () => new MemoryBackend(),
+  DurableObjectBackend: () => new DurableObjectBackend(new MapStorage())
+};
+
+for (const [name, createBackend] of Object.entries(BACKENDS)) {
+  describe(name, () => {
+    let now;
+    let kv;
+
+    beforeEach(() => {
+      now = 1_700_000_000_000;
+      mock.method(Date, 'now', () => now);
+      kv = createBackend();
+    });
+
+    afterEach(() => {
+      mock.restoreAll();
+    });
+
+    it('stores values as strings with their metadata', async () => {
+      await kv.put('a', 1, { metadata: { version: 1 } });
+      assert.equal(await kv.get('a'), '1');
+      assert.deepEqual(await kv.getWithMetadata('a'), { value: '1', metadata: { version: 1 } });
+      assert.deepEqual(await kv.getWithMetadata('missing'), { value: null, metadata: null });
+
+      await kv.delete('a');
+      assert.equal(await kv.get('a'), null);
+    });
+
+    it('lists keys by prefix in order, a page at a time', async () => {
+      for (const key of ['p:c', 'p:a', 'q:z', 'p:b']) {
+        await kv.put(key, key, { metadata: { key } });
+      }
+      const first = await kv.list({ prefix: 'p:', limit: 2 });
+      assert.deepEqual(first.keys, [{ name: 'p:a', metadata: { key: 'p:a' } }, { name: 'p:b', metadata: { key: 'p:b' } }]);
+      assert.equal(first.list_complete, false);
+
+      const rest = await kv.list({ prefix: 'p:', limit: 2, cursor: first.cursor });
+      assert.deepEqual(rest.keys.map(key => key.name), ['p:c']);
+      assert.equal(rest.list_complete, true);
+      assert.equal(rest.cursor, undefined);
+    });
+
+    it('expires keys at their expiration', async () => {
+      await kv.put('absolute', 'x', { expiration: now / 1000 + 60 });
+      await kv.put('relative', 'y', { expirationTtl: 120 });
+      assert.deepEqual((await kv.list()).keys,
+        [{ name: 'absolute', metadata: null, expiration: now / 1000 + 60 },
+          { name: 'relative', metadata: null, expiration: now / 1000 + 120 }]);
+
+      now += 60_000;
+      assert.equal(await kv.get('absolute'), null);
+      assert.equal(await kv.get('relative'), 'y');
+      assert.deepEqual((await kv.list()).keys.map(key => key.name), ['relative']);
+    });
+
+    it('fills list pages past expired keys', async () => {
+      for (const key of ['a', 'b', 'c', 'd']) {
+        await kv.put(key, key, key < 'c' ? { expirationTtl: 60 } : {});
+      }
+      now += 60_000;
+      const page = await kv.list({ limit: 2 });
+      assert.deepEqual(page.keys.map(key => key.name), ['c', 'd']);
+    });
+  });
+}
+
+describe('CountingBackend', () => {
+  it('counts round trips on its owner\'s counters', async () => {
+    const owner = { counters: { backendReads: 0, backendWrites: 0, backendDeletes: 0, backendLists: 0 } };
+    const kv = new CountingBackend(new MemoryBackend(), owner);
+    await kv.put('a', 'x');
+    await kv.get('a');
+    await kv.getWithMetadata('a');
+    await kv.list();
+    await kv.delete('a');
+    assert.deepEqual(owner.counters, { backendReads: 2, backendWrites: 1, backendDeletes: 1, backendLists: 1 });
+  });
+});
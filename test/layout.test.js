@@ -0,0 +1,126 @@
+/**
+ * Tests for the key layouts of KVTreeStorage and migrating between them,
+ * run against a MemoryBackend
+ */
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import KVTreeStorage from '../src/cfkvtree.js';
+import { MemoryBackend } from '../src/kvbackends.js';
+import { TreeCache } from '../src/treecache.js';
+
+/**
+ * Create a tree in key layout 1, as written before layouts were recorded
+ */
+async function createLegacyTree(kv) {
+  const tree = new KVTreeStorage(kv, { baseRetryDelay: 1 });
+  await tree.writeLayout({ version: 1, migration: null });
+  await tree.createNode([], null);
+  await tree.setValue(['a', 'b'], 1, { createParents: true });
+  await tree.setValue(['c'], 2, { createParents: true });
+  await tree.setValue(['c'], 3);
+  await kv.delete(tree.layoutKey());
+}
+
+/**
+ * List every key name in kv
+ */
+async function listKeys(kv) {
+  const names = [];
+  let cursor;
+  do {
+    const page = await kv.list({ cursor });
+    names.push(...page.keys.map(key => key.name));
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor !== undefined);
+  return names.sort();
+}
+
+describe('layout migration', () => {
+  let kv;
+
+  beforeEach(async () => {
+    kv = new MemoryBackend();
+    await createLegacyTree(kv);
+  });
+
+  it('refuses writes from other sessions as soon as the copy starts', async () => {
+    const writer = new KVTreeStorage(kv, { cache: new TreeCache(), baseRetryDelay: 1 });
+    await writer.setValue(['c'], 4);
+    assert.equal((await writer.readLayout()).migration, null);
+
+    const migrator = new KVTreeStorage(kv, { cache: new TreeCache(), baseRetryDelay: 1 });
+    const progress = await migrator.migrateLayout({ limit: 1 });
+    assert.equal(progress.phase, 'copy');
+
+    await assert.rejects(writer.setValue(['c'], 5), /is being migrated/);
+    assert.equal(await migrator.getValue(['c']), 4);
+  });
+
+  it('migrates in steps, keeping values and history and deleting the old keys', async () => {
+    const tree = new KVTreeStorage(kv, { baseRetryDelay: 1 });
+    const paths = [[], ['a'], ['a', 'b'], ['c']];
+    const oldKeys = await Promise.all(paths.map(path => tree.createStorageKey(path, 'value', 1)));
+
+    let progress;
+    let calls = 0;
+    do {
+      progress = await tree.migrateLayout({ limit: 2 });
+      calls++;
+    } while (!progress.done);
+    assert.equal(calls, 4);
+    assert.equal(progress.fromVersion, 1);
+    assert.equal((await tree.readLayout({ fresh: true })).version, progress.toVersion);
+
+    assert.equal(await tree.getValue(['a', 'b']), 1);
+    assert.deepEqual(await tree.getChildren([]), ['a', 'c']);
+    const { revisions } = await tree.listHistory(['c']);
+    assert.deepEqual(revisions.map(entry => entry.value), [2, 3]);
+    for (const key of oldKeys) {
+      assert.equal(await kv.get(key), null);
+    }
+    assert.deepEqual((await tree.fsck()).issues, []);
+  });
+
+  it('writes nothing on a dry run', async () => {
+    const before = await listKeys(kv);
+    const tree = new KVTreeStorage(kv, { baseRetryDelay: 1 });
+    const first = await tree.migrateLayout({ dryRun: true, limit: 3 });
+    assert.equal(first.done, false);
+    const rest = await tree.migrateLayout({ dryRun: true, cursor: first.cursor });
+    assert.equal(rest.done, true);
+    assert.equal(rest.nodes, 4);
+    assert.deepEqual(await listKeys(kv), before);
+  });
+
+  it('reports names whose layout 1 keys may be shared', async () => {
+    const legacy = new KVTreeStorage(kv, { baseRetryDelay: 1 });
+    await legacy.writeLayout({ version: 1, migration: null });
+    await legacy.setValue(['x::y'], 1, { createParents: true });
+    await kv.delete(legacy.layoutKey());
+
+    const { ambiguousPaths } = await legacy.migrateLayout({ dryRun: true });
+    assert.deepEqual(ambiguousPaths, [['x::y']]);
+  });
+});
+
+describe('current layout', () => {
+  let tree;
+
+  beforeEach(async () => {
+    tree = new KVTreeStorage(new MemoryBackend(), { baseRetryDelay: 1 });
+    await tree.initializeRoot();
+  });
+
+  it('keeps paths that joined alike in layout 1 apart', async () => {
+    await tree.setValue(['a::b'], 'joined', { createParents: true });
+    await tree.setValue(['a', 'b'], 'nested', { createParents: true });
+    assert.equal(await tree.getValue(['a::b']), 'joined');
+    assert.equal(await tree.getValue(['a', 'b']), 'nested');
+  });
+
+  it('has nothing to migrate', async () => {
+    const progress = await tree.migrateLayout();
+    assert.equal(progress.phase, 'done');
+    assert.equal(progress.fromVersion, progress.toVersion);
+  });
+});
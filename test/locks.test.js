@@ -0,0 +1,94 @@
+/**
+ * Tests for the lease-based locks of KVTreeStorage, run against a
+ * MemoryBackend
+ */
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import KVTreeStorage, { RESERVED_ROOT } from '../src/cfkvtree.js';
+import { MemoryBackend } from '../src/kvbackends.js';
+
+/**
+ * Open a tree on kv whose locks belong to owner, with its root created
+ */
+async function openTree(kv, owner = null) {
+  const tree = new KVTreeStorage(kv, { owner, baseRetryDelay: 1 });
+  await tree.initializeRoot();
+  return tree;
+}
+
+describe('locks', () => {
+  let alice;
+  let bob;
+
+  beforeEach(async () => {
+    const kv = new MemoryBackend();
+    alice = await openTree(kv, 'alice');
+    bob = await openTree(kv, 'bob');
+    await alice.setValue(['doc'], 1, { createParents: true });
+    await alice.setValue(['other'], 2, { createParents: true });
+  });
+
+  it('hides the token from everyone but the holder', async () => {
+    const held = await alice.acquireLock(['doc'], 60);
+    assert.equal(held.acquired, true);
+    assert.equal(held.lock.owner, 'alice');
+    assert.equal(typeof held.lock.token, 'string');
+
+    const blocked = await bob.acquireLock(['doc'], 60);
+    assert.equal(blocked.acquired, false);
+    assert.equal(blocked.lock.owner, 'alice');
+    assert.equal('token' in blocked.lock, false);
+  });
+
+  it('blocks writes without the holder\'s token', async () => {
+    const { lock } = await alice.acquireLock(['doc'], 60);
+    await assert.rejects(bob.checkLocks(['doc'], undefined), /Path is locked by alice/);
+    await assert.rejects(bob.checkLocks(['doc'], 'guess'), /Path is locked by alice/);
+    await alice.checkLocks(['doc'], lock.token);
+    await assert.rejects(bob.releaseLock(['doc'], lock.token), /Lock is not held/);
+    await alice.releaseLock(['doc'], lock.token);
+    await bob.checkLocks(['doc'], undefined);
+  });
+
+  it('does not let the token of an unrelated lock past a lock', async () => {
+    await alice.acquireLock(['doc'], 60);
+    // Another client of the same owner, or one naming itself alike
+    const mallory = await openTree(bob.kv, 'alice');
+    const unrelated = await mallory.acquireLock(['other'], 60);
+    assert.equal(unrelated.acquired, true);
+
+    await assert.rejects(mallory.checkLocks(['doc'], unrelated.lock.token), /Path is locked by alice/);
+    const nested = await mallory.acquireLock(['doc', 'child'], 60, unrelated.lock.token);
+    assert.equal(nested.acquired, false);
+  });
+
+  it('lets the token of an overlapping lock of the same owner through', async () => {
+    const outer = await alice.acquireLock(['doc'], 60);
+    const inner = await alice.acquireLock(['doc', 'child'], 60, outer.lock.token);
+    assert.equal(inner.acquired, true);
+    await alice.checkLocks(['doc'], inner.lock.token);
+    await alice.checkLocks(['doc', 'child'], outer.lock.token);
+
+    const renewed = await alice.acquireLock(['doc'], 120, outer.lock.token);
+    assert.equal(renewed.acquired, true);
+    assert.equal(renewed.lock.token, outer.lock.token);
+    assert.equal(renewed.lock.fence, outer.lock.fence);
+  });
+
+  it('takes its owner from the storage, not the caller', async () => {
+    const anonymous = await openTree(bob.kv);
+    await assert.rejects(anonymous.acquireLock(['doc'], 60), /Locks need an authenticated client/);
+
+    const { lock } = await alice.acquireLock(['doc'], 60);
+    await assert.rejects(bob.renewLock(['doc'], lock.token, 60), /Lock is not held/);
+    const renewed = await alice.renewLock(['doc'], lock.token, 60);
+    assert.equal(renewed.token, lock.token);
+  });
+
+  it('keeps lock records out of queries', async () => {
+    await alice.acquireLock(['doc'], 60);
+    const globstar = { type: 'globstar' };
+    const { matches } = await alice.queryNodes([globstar]);
+    assert.ok(matches.every(match => match.path[0] !== RESERVED_ROOT));
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for declarative node filters
+ * Run with npm test
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import KVTreeStorage from '../src/cfkvtree.js';
+import { MemoryBackend } from '../src/kvbackends.js';
+import { compileFilter, parseFieldPath } from '../src/nodefilter.js';
+
+/**
+ * Whether a filter matches a node at path with value, depth levels down
+ */
+function matches(filter, value, path = ['node'], depth = 1) {
+  return compileFilter(filter)({ path, value }, depth);
+}
+
+describe('parseFieldPath', () => {
+  it('reads names, indexes and quoted names', () => {
+    assert.deepEqual(parseFieldPath('$.a.b'), ['a', 'b']);
+    assert.deepEqual(parseFieldPath('a[0]'), ['a', 0]);
+    assert.deepEqual(parseFieldPath("$['key with.dots'].c"), ['key with.dots', 'c']);
+  });
+
+  it('rejects malformed paths', () => {
+    assert.throws(() => parseFieldPath('$.a['), /Invalid field path/);
+  });
+});
+
+describe('compileFilter', () => {
+  const order = { status: 'open', total: 12, tags: ['urgent'], lines: [{ sku: 'x' }] };
+
+  it('tests fields inside the value', () => {
+    assert.equal(matches({ field: '$.status', op: 'eq', value: 'open' }, order), true);
+    assert.equal(matches({ field: 'total', op: 'gt', value: 10 }, order), true);
+    assert.equal(matches({ field: 'total', op: 'lt', value: '20' }, order), false);
+    assert.equal(matches({ field: 'tags', op: 'contains', value: 'urgent' }, order), true);
+    assert.equal(matches({ field: '$.lines[0].sku', op: 'in', value: ['x', 'y'] }, order), true);
+    assert.equal(matches({ field: 'status', op: 'regex', value: '^OP', flags: 'i' }, order), true);
+    assert.equal(matches({ field: 'closed', op: 'exists', value: false }, order), true);
+    assert.equal(matches({ op: 'type', value: 'object' }, order), true);
+  });
+
+  it('treats a missing field as not matching except for ne', () => {
+    assert.equal(matches({ field: 'missing', op: 'eq', value: null }, order), false);
+    assert.equal(matches({ field: 'missing', op: 'ne', value: 1 }, order), true);
+    assert.equal(matches({ field: 'tags[0]', op: 'eq', value: 'urgent' }, order), true);
+    assert.equal(matches({ field: 'status[0]', op: 'exists' }, order), false);
+  });
+
+  it('tests the node name and depth', () => {
+    assert.equal(matches({ field: '@name', op: 'startsWith', value: 'no' }, null), true);
+    assert.equal(matches({ field: '@name', op: 'exists' }, null, []), false);
+    assert.equal(matches({ field: '@depth', op: 'lte', value: 1 }, null), true);
+  });
+
+  it('combines filters', () => {
+    const open = { field: 'status', op: 'eq', value: 'open' };
+    const small = { field: 'total', op: 'lt', value: 10 };
+    assert.equal(matches({ all: [open, small] }, order), false);
+    assert.equal(matches({ any: [open, small] }, order), true);
+    assert.equal(matches({ not: small }, order), true);
+    assert.equal(matches({ all: [] }, order), true);
+  });
+
+  it('rejects malformed filters before use', () => {
+    assert.throws(() => compileFilter([]), /must be an object/);
+    assert.throws(() => compileFilter({ op: 'like' }), /Unknown filter operator: like/);
+    assert.throws(() => compileFilter({ any: {} }), /need an array/);
+    assert.throws(() => compileFilter({ not: { op: 'in', value: 1 } }), /needs an array value/);
+    assert.throws(() => compileFilter({ op: 'regex', value: 1 }), /needs a string value/);
+  });
+});
+
+describe('searchNodes', () => {
+  it('returns the matching nodes with their depth', async () => {
+    const tree = new KVTreeStorage(new MemoryBackend(), { baseRetryDelay: 1 });
+    await tree.initializeRoot();
+    await tree.setValue(['orders', 'a'], { total: 5 }, { createParents: true });
+    await tree.setValue(['orders', 'b'], { total: 50 }, { createParents: true });
+    await tree.setValue(['orders', 'b', 'note'], 'late', { createParents: true });
+
+    const { nodes, cursor } = await tree.searchNodes(
+      { field: 'total', op: 'gte', value: 10 }, ['orders']);
+    assert.deepEqual(nodes.map(({ path, value, depth }) => ({ path, value, depth })),
+      [{ path: ['orders', 'b'], value: { total: 50 }, depth: 1 }]);
+    assert.equal(cursor, null);
+
+    const { nodes: deep } = await tree.searchNodes(null, ['orders'], { minDepth: 2 });
+    assert.deepEqual(deep.map(match => match.path), [['orders', 'b', 'note']]);
+  });
+});
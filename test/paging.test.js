@@ -0,0 +1,96 @@
+/**
+ * Tests for paged listings and their continuation cursors
+ * Run with npm test
+ */
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import KVTreeStorage from '../src/cfkvtree.js';
+import { MemoryBackend } from '../src/kvbackends.js';
+
+/**
+ * Call read with each cursor it returns until the last page, collecting the
+ * pages
+ */
+async function readAll(read) {
+  const pages = [];
+  let cursor = null;
+  do {
+    const page = await read(cursor);
+    pages.push(page);
+    cursor = page.cursor;
+  } while (cursor !== null);
+  return pages;
+}
+
+/**
+ * Deep-merge exportTreePage trees into one export
+ */
+function mergeExports(target, source) {
+  if ('value' in source) {
+    target.value = source.value;
+  }
+  target.children ??= {};
+  for (const [name, child] of Object.entries(source.children ?? {})) {
+    mergeExports(target.children[name] ??= {}, child);
+  }
+  return target;
+}
+
+describe('paging', () => {
+  let tree;
+
+  beforeEach(async () => {
+    tree = new KVTreeStorage(new MemoryBackend(), { baseRetryDelay: 1 });
+    await tree.initializeRoot();
+    for (const name of ['e', 'd', 'c', 'b', 'a']) {
+      await tree.setValue(['list', name], name.toUpperCase(), { createParents: true });
+    }
+    await tree.setValue(['list', 'b', 'x'], 'BX', { createParents: true });
+  });
+
+  it('lists children a page at a time in name order', async () => {
+    const pages = await readAll(cursor => tree.listChildren(['list'], { limit: 2, cursor }));
+    assert.deepEqual(pages.map(page => page.children), [['a', 'b'], ['c', 'd'], ['e']]);
+  });
+
+  it('traverses a subtree a page at a time', async () => {
+    const depthFirst = await readAll(cursor => tree.traversePage(['list'], { limit: 3, cursor }));
+    assert.deepEqual(depthFirst.flatMap(page => page.nodes.map(node => node.path.join('/'))),
+      ['list', 'list/a', 'list/b', 'list/b/x', 'list/c', 'list/d', 'list/e']);
+
+    const breadthFirst = await readAll(cursor =>
+      tree.traversePage(['list'], { strategy: 'breadth-first', limit: 4, cursor }));
+    assert.deepEqual(breadthFirst.flatMap(page => page.nodes.map(node => node.path.join('/'))),
+      ['list', 'list/a', 'list/b', 'list/c', 'list/d', 'list/e', 'list/b/x']);
+  });
+
+  it('resumes after the last node read even when it is gone', async () => {
+    const first = await tree.traversePage(['list'], { limit: 3 });
+    assert.deepEqual(first.nodes.map(node => node.path.at(-1)), ['list', 'a', 'b']);
+    await tree.deleteNode(['list', 'b']);
+    const second = await tree.traversePage(['list'], { limit: 3, cursor: first.cursor });
+    assert.deepEqual(second.nodes.map(node => node.path.at(-1)), ['c', 'd', 'e']);
+  });
+
+  it('exports pages that merge into the full export', async () => {
+    const pages = await readAll(cursor => tree.exportTreePage(['list'], { limit: 2, cursor }));
+    assert.equal(pages.length, 4);
+    const merged = pages.reduce((result, page) => mergeExports(result, page.tree), {});
+    assert.deepEqual(merged, await tree.exportTree(['list']));
+  });
+
+  it('stops a search page at the scan limit', async () => {
+    const filter = { field: '@name', op: 'eq', value: 'e' };
+    const first = await tree.searchNodes(filter, ['list'], { scanLimit: 3 });
+    assert.deepEqual(first.nodes, []);
+    assert.notEqual(first.cursor, null);
+    const pages = await readAll(cursor => tree.searchNodes(filter, ['list'], { scanLimit: 3, cursor }));
+    assert.deepEqual(pages.flatMap(page => page.nodes.map(node => node.path)), [['list', 'e']]);
+  });
+
+  it('rejects cursors from another listing', async () => {
+    const { cursor } = await tree.listChildren(['list'], { limit: 1 });
+    await assert.rejects(tree.traversePage(['list'], { cursor }), /Invalid cursor/);
+    await assert.rejects(tree.listChildren(['list'], { cursor: 'not-a-cursor' }), /Invalid cursor/);
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Tests for PathParser glob patterns
+ * Run with npm test
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PathParser } from '../src/pathparser.js';
+
+const parser = new PathParser();
+
+/**
+ * Whether a single-segment glob pattern matches a component
+ */
+function matches(pattern, component) {
+  const [segment] = parser.parsePattern(pattern);
+  assert.equal(segment.type, 'glob');
+  return segment.regex.test(component);
+}
+
+describe('parsePattern', () => {
+  it('splits literal, glob and globstar segments', () => {
+    const segments = parser.parsePattern('/a\\/b/report-*/**');
+    assert.deepEqual(segments.map(segment => segment.type), ['literal', 'glob', 'globstar']);
+    assert.equal(segments[0].value, 'a/b');
+  });
+
+  it('matches brace alternatives', () => {
+    assert.equal(matches('{a,b}', 'a'), true);
+    assert.equal(matches('{a,b}', 'b'), true);
+    assert.equal(matches('{a,b}', 'a,b'), false);
+    assert.equal(matches('{a\\,b,c}', 'a,b'), true);
+  });
+
+  it('matches nested brace alternatives', () => {
+    for (const component of ['a', 'b', 'c']) {
+      assert.equal(matches('{a,{b,c}}', component), true);
+    }
+    assert.equal(matches('{a,{b,c}}', 'b,c}'), false);
+    assert.equal(matches('x{a,{b,c}d}y', 'xcdy'), true);
+    assert.equal(matches('x{a,{b,c}d}y', 'xay'), true);
+    assert.equal(matches('x{a,{b,c}d}y', 'xcy'), false);
+  });
+
+  it('reads unbalanced and escaped braces literally', () => {
+    assert.deepEqual(parser.parsePattern('{a,b'), [{ type: 'literal', value: '{a,b' }]);
+    assert.deepEqual(parser.parsePattern('\\{a,b}'), [{ type: 'literal', value: '{a,b}' }]);
+  });
+});
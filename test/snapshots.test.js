@@ -0,0 +1,135 @@
+/**
+ * Tests for named snapshots and import modes
+ * Run with npm test
+ */
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import KVTreeStorage from '../src/cfkvtree.js';
+import { MemoryBackend } from '../src/kvbackends.js';
+
+/**
+ * Open a tree on kv as principal (unrestricted when null), with its root
+ * created
+ */
+async function openTree(kv, principal = null) {
+  const tree = new KVTreeStorage(kv, { principal, baseRetryDelay: 1 });
+  await tree.initializeRoot();
+  return tree;
+}
+
+describe('snapshots', () => {
+  let kv;
+  let tree;
+
+  beforeEach(async () => {
+    kv = new MemoryBackend();
+    tree = await openTree(kv);
+    await tree.setValue(['config', 'mode'], 'fast', { createParents: true });
+    await tree.setValue(['config', 'level'], 1, { createParents: true });
+  });
+
+  it('captures a subtree and lists it', async () => {
+    const snapshot = await tree.captureSnapshot('before', ['config']);
+    assert.equal(snapshot.nodeCount, 3);
+    assert.equal(snapshot.chunkCount, 1);
+    assert.deepEqual(await tree.listSnapshots(), [snapshot]);
+    assert.deepEqual((await tree.readSnapshot('before')).tree, await tree.exportTree(['config']));
+    await assert.rejects(tree.captureSnapshot('before'), /Snapshot already exists: before/);
+  });
+
+  it('keeps snapshots out of the tree', async () => {
+    await tree.captureSnapshot('whole');
+    assert.deepEqual(await tree.getChildren([]), ['config']);
+    const { tree: captured } = await tree.readSnapshot('whole');
+    assert.deepEqual(Object.keys(captured.children), ['config']);
+  });
+
+  it('splits large snapshots into chunks', async () => {
+    await tree.setValue(['config', 'blob'], 'x'.repeat(300 * 1024), { createParents: true });
+    const snapshot = await tree.captureSnapshot('large', ['config']);
+    assert.equal(snapshot.chunkCount, 2);
+    assert.equal((await tree.readSnapshot('large')).tree.children.blob.value.length, 300 * 1024);
+  });
+
+  it('diffs a snapshot against the live tree', async () => {
+    await tree.captureSnapshot('before', ['config']);
+    await tree.setValue(['config', 'mode'], 'safe');
+    await tree.deleteNode(['config', 'level']);
+    await tree.setValue(['config', 'extra'], true, { createParents: true });
+
+    assert.deepEqual(await tree.diffSnapshot('before'), {
+      added: [{ path: ['config', 'extra'], value: true }],
+      removed: [{ path: ['config', 'level'], value: 1 }],
+      changed: [{ path: ['config', 'mode'], snapshotValue: 'fast', liveValue: 'safe' }]
+    });
+  });
+
+  it('restores a snapshot in place or elsewhere', async () => {
+    await tree.captureSnapshot('before', ['config']);
+    await tree.setValue(['config', 'mode'], 'safe');
+    await tree.setValue(['config', 'extra'], true, { createParents: true });
+
+    const restored = await tree.restoreSnapshot('before');
+    assert.deepEqual(restored.path, ['config']);
+    assert.deepEqual(await tree.exportTree(['config']), (await tree.readSnapshot('before')).tree);
+
+    await tree.restoreSnapshot('before', { path: ['copy'] });
+    assert.equal(await tree.getValue(['copy', 'mode']), 'fast');
+  });
+
+  it('deletes snapshots', async () => {
+    await tree.captureSnapshot('before', ['config']);
+    await tree.deleteSnapshot('before');
+    assert.deepEqual(await tree.listSnapshots(), []);
+    await assert.rejects(tree.readSnapshot('before'), /Snapshot does not exist: before/);
+    await assert.rejects(tree.deleteSnapshot('before'), /Snapshot does not exist: before/);
+  });
+
+  it('shows and restores snapshots only to principals with access to their path', async () => {
+    await tree.setValue(['public'], null, { createParents: true });
+    await tree.captureSnapshot('config', ['config']);
+    await tree.captureSnapshot('public', ['public']);
+    await tree.grantAccess(['public'], 'alice', 'write');
+    const alice = await openTree(kv, 'alice');
+
+    assert.deepEqual((await alice.listSnapshots()).map(snapshot => snapshot.name), ['public']);
+    await assert.rejects(alice.readSnapshot('config'), /Access denied/);
+    await assert.rejects(alice.deleteSnapshot('config'), /Access denied/);
+    await assert.rejects(alice.restoreSnapshot('public', { path: ['config'] }), /Access denied/);
+    await alice.restoreSnapshot('public');
+  });
+});
+
+describe('import modes', () => {
+  let tree;
+  const data = { value: 'new', children: { a: { value: 'A2' }, b: { value: 'B' } } };
+
+  beforeEach(async () => {
+    tree = await openTree(new MemoryBackend());
+    await tree.setValue(['target', 'a'], 'A', { createParents: true });
+    await tree.setValue(['target', 'old'], 'gone?', { createParents: true });
+  });
+
+  it('merges by default', async () => {
+    assert.deepEqual(await tree.importTree(data, ['target']), { created: 1, updated: 2, skipped: 0 });
+    assert.deepEqual(await tree.getChildren(['target']), ['a', 'b', 'old']);
+    assert.equal(await tree.getValue(['target', 'a']), 'A2');
+  });
+
+  it('leaves existing nodes alone with skip-existing', async () => {
+    assert.deepEqual(await tree.importTree(data, ['target'], { mode: 'skip-existing' }),
+      { created: 1, updated: 0, skipped: 2 });
+    assert.equal(await tree.getValue(['target', 'a']), 'A');
+    assert.equal(await tree.getValue(['target', 'b']), 'B');
+  });
+
+  it('clears the subtree first with replace', async () => {
+    await tree.importTree(data, ['target'], { mode: 'replace' });
+    assert.deepEqual(await tree.getChildren(['target']), ['a', 'b']);
+    assert.equal(await tree.getValue(['target']), 'new');
+  });
+
+  it('rejects unknown modes', async () => {
+    await assert.rejects(tree.importTree(data, ['target'], { mode: 'upsert' }), /Unknown import mode: upsert/);
+  });
+});
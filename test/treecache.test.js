@@ -0,0 +1,98 @@
+/**
+ * Tests for TreeCache and trees kept open with one
+ * Run with npm test
+ */
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import KVTreeStorage from '../src/cfkvtree.js';
+import { MemoryBackend } from '../src/kvbackends.js';
+import { TreeCache } from '../src/treecache.js';
+
+/**
+ * Open a tree on kv with its own cache, as principal (unrestricted when null)
+ */
+async function openCachedTree(kv, principal = null, cacheOptions = {}) {
+  const tree = new KVTreeStorage(kv, { principal, cache: new TreeCache(cacheOptions), baseRetryDelay: 1 });
+  await tree.initializeRoot();
+  return tree;
+}
+
+describe('TreeCache', () => {
+  let now;
+  let kv;
+
+  beforeEach(() => {
+    now = 1_700_000_000_000;
+    mock.method(Date, 'now', () => now);
+    kv = new MemoryBackend();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('serves repeated reads without backend round trips', async () => {
+    const tree = await openCachedTree(kv);
+    await tree.setValue(['doc'], 'cached', { createParents: true });
+    await tree.getCacheStats({ reset: true });
+
+    assert.equal(await tree.getValue(['doc']), 'cached');
+    assert.equal(await tree.getValue(['doc']), 'cached');
+    const { counters } = await tree.getCacheStats();
+    assert.equal(counters.backendReads, 0);
+    assert.ok(counters.valueHits >= 2);
+  });
+
+  it('trusts entries only for maxAgeMs', async () => {
+    const reader = await openCachedTree(kv);
+    const writer = new KVTreeStorage(kv, { baseRetryDelay: 1 });
+    await writer.setValue(['doc'], 'one', { createParents: true });
+    assert.equal(await reader.getValue(['doc']), 'one');
+
+    await writer.setValue(['doc'], 'two');
+    assert.equal(await reader.getValue(['doc']), 'one');
+    now += 5000;
+    assert.equal(await reader.getValue(['doc']), 'two');
+  });
+
+  it('reads past the cache for compare-and-set and grants', async () => {
+    const admin = await openCachedTree(kv);
+    await admin.setValue(['doc'], 'one', { createParents: true });
+    await admin.grantAccess(['doc'], 'alice', 'write');
+    const alice = await openCachedTree(kv, 'alice');
+    assert.equal(await alice.getValue(['doc']), 'one');
+
+    const writer = new KVTreeStorage(kv, { baseRetryDelay: 1 });
+    await writer.setValue(['doc'], 'two');
+    const conflict = await alice.compareAndSet(['doc'], 'three', { version: 1 });
+    assert.equal(conflict.ok, false);
+    assert.equal(conflict.currentVersion, 2);
+
+    await writer.revokeAccess(['doc'], 'alice');
+    await assert.rejects(alice.getValue(['doc']), /Access denied/);
+  });
+
+  it('evicts the least recently used entries past its limits', async () => {
+    const tree = await openCachedTree(kv, null, { limits: { values: 2 } });
+    for (const name of ['a', 'b', 'c']) {
+      await tree.setValue([name], name, { createParents: true });
+    }
+    const { entries, counters, limits } = await tree.getCacheStats();
+    assert.equal(entries.values, 2);
+    assert.equal(limits.values, 2);
+    assert.ok(counters.evictions >= 1);
+  });
+
+  it('does not keep large values', async () => {
+    const tree = await openCachedTree(kv);
+    await tree.setValue(['big'], 'x'.repeat(20 * 1024), { createParents: true });
+    await tree.getCacheStats({ reset: true });
+    await tree.getValue(['big']);
+    assert.equal((await tree.getCacheStats()).counters.valueMisses, 1);
+  });
+
+  it('describes an unlimited max age as null', () => {
+    assert.equal(new TreeCache({ maxAgeMs: Infinity }).getStats().maxAgeMs, null);
+    assert.equal(new TreeCache().getStats().maxAgeMs, 5000);
+  });
+});
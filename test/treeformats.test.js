@@ -0,0 +1,73 @@
+/**
+ * Tests for the nested, flat and NDJSON tree formats
+ * Run with npm test
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import KVTreeStorage from '../src/cfkvtree.js';
+import { MemoryBackend } from '../src/kvbackends.js';
+import { TREE_FORMATS, encodeTree, decodeTree, formatRelativePath } from '../src/treeformats.js';
+
+const treeData = {
+  value: null,
+  children: {
+    users: {
+      value: { count: 2 },
+      children: {
+        'a/b': { value: 'slash', children: {} },
+        '100%': { value: 'percent', children: {} },
+        'R&D': { value: ['amp'], children: {} },
+        'café ☕': { value: 0, children: { '\\': { value: false, children: {} } } }
+      }
+    }
+  }
+};
+
+describe('tree formats', () => {
+  for (const format of TREE_FORMATS) {
+    it(`round-trips awkward names through ${format}`, () => {
+      const decoded = decodeTree(format, JSON.parse(JSON.stringify(encodeTree(format, treeData))));
+      assert.deepEqual(encodeTree('flat', decoded), encodeTree('flat', treeData));
+    });
+  }
+
+  it('writes flat paths relative to the start node, parents first', () => {
+    const flat = encodeTree('flat', treeData);
+    assert.deepEqual(Object.keys(flat).slice(0, 3), ['/', '/users', '/users/a\\/b']);
+    assert.equal(flat['/users/a\\/b'], 'slash');
+  });
+
+  it('writes one NDJSON line per node', () => {
+    const lines = encodeTree('ndjson', treeData).trimEnd().split('\n').map(line => JSON.parse(line));
+    assert.equal(lines.length, 7);
+    assert.deepEqual(lines[1], { path: '/users', value: { count: 2 } });
+  });
+
+  it('leaves valueless containers out of flat and NDJSON data', () => {
+    const paged = { children: { a: { children: { b: { value: 1, children: {} } } } } };
+    assert.deepEqual(encodeTree('flat', paged), { '/a/b': 1 });
+    assert.deepEqual(decodeTree('flat', { '/a/b': 1 }), { children: { a: { children: { b: { value: 1 } } } } });
+  });
+
+  it('rejects data it cannot read', () => {
+    assert.throws(() => decodeTree('flat', []), /Flat tree data must be an object/);
+    assert.throws(() => decodeTree('ndjson', {}), /NDJSON tree data must be a string/);
+    assert.throws(() => decodeTree('ndjson', '{"path":"/"}\n\n{nope'), /Invalid JSON on NDJSON line 3/);
+    assert.throws(() => decodeTree('ndjson', '{"value":1}'), /NDJSON line 1 needs a string "path"/);
+    assert.throws(() => encodeTree('xml', treeData), /Unknown tree format: xml/);
+    assert.throws(() => formatRelativePath(['a', '']), /Node names must not be empty/);
+  });
+
+  it('round-trips a stored tree through export and import', async () => {
+    const tree = new KVTreeStorage(new MemoryBackend(), { baseRetryDelay: 1 });
+    await tree.initializeRoot();
+    await tree.importTree(treeData.children.users, ['users']);
+    await tree.createNode(['copy']);
+
+    for (const format of TREE_FORMATS) {
+      const encoded = encodeTree(format, await tree.exportTree(['users']));
+      await tree.importTree(decodeTree(format, encoded), ['copy', format]);
+      assert.deepEqual(await tree.exportTree(['copy', format]), await tree.exportTree(['users']));
+    }
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Tests for node TTLs, run against a MemoryBackend with a mocked clock
+ * Run with npm test
+ */
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import KVTreeStorage from '../src/cfkvtree.js';
+import { MemoryBackend } from '../src/kvbackends.js';
+
+describe('TTL', () => {
+  let now;
+  let tree;
+
+  beforeEach(async () => {
+    now = 1_700_000_000_000;
+    mock.method(Date, 'now', () => now);
+    tree = new KVTreeStorage(new MemoryBackend(), { baseRetryDelay: 1 });
+    await tree.initializeRoot();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('expires a node with its subtree and child entry', async () => {
+    await tree.setValue(['session'], 'open', { createParents: true, ttl: 120 });
+    await tree.setValue(['session', 'cart'], [], { createParents: true });
+    assert.equal((await tree.getNode(['session'])).expiration, now / 1000 + 120);
+    assert.equal((await tree.getNode(['session', 'cart'])).expiration, now / 1000 + 120);
+
+    now += 121_000;
+    assert.equal(await tree.nodeExists(['session']), false);
+    assert.equal(await tree.nodeExists(['session', 'cart']), false);
+    assert.deepEqual(await tree.getChildren([]), []);
+  });
+
+  it('never lets a node outlive its parent', async () => {
+    await tree.setValue(['parent'], null, { createParents: true, ttl: 300 });
+    await tree.setValue(['parent', 'child'], 1, { createParents: true, ttl: 3600 });
+    assert.equal((await tree.getNode(['parent', 'child'])).expiration, now / 1000 + 300);
+
+    await tree.setValue(['parent'], null, { ttl: 60 });
+    assert.equal((await tree.getNode(['parent', 'child'])).expiration, now / 1000 + 60);
+  });
+
+  it('keeps the expiration on updates unless a ttl is given', async () => {
+    await tree.setValue(['doc'], 1, { createParents: true, ttl: 120 });
+    await tree.setValue(['doc'], 2);
+    assert.equal((await tree.getNode(['doc'])).expiration, now / 1000 + 120);
+
+    await tree.setValue(['doc'], 3, { ttl: 0 });
+    assert.equal((await tree.getNode(['doc'])).expiration, null);
+    now += 121_000;
+    assert.equal(await tree.getValue(['doc']), 3);
+  });
+
+  it('rejects ttls KV cannot store and ttls on the root', async () => {
+    await assert.rejects(tree.setValue(['short'], 1, { createParents: true, ttl: 30 }),
+      /TTL must be 0 or a whole number of seconds no less than 60/);
+    await assert.rejects(tree.setValue(['odd'], 1, { createParents: true, ttl: 90.5 }), /TTL must be/);
+    await assert.rejects(tree.setValue([], 1, { ttl: 120 }), /The root node cannot expire/);
+    assert.deepEqual(await tree.getChildren([]), []);
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Tests for node versions and conditional writes, run against a MemoryBackend
+ * Run with npm test
+ */
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import KVTreeStorage from '../src/cfkvtree.js';
+import { MemoryBackend } from '../src/kvbackends.js';
+
+describe('conditional writes', () => {
+  let tree;
+
+  beforeEach(async () => {
+    tree = new KVTreeStorage(new MemoryBackend(), { baseRetryDelay: 1 });
+    await tree.initializeRoot();
+    await tree.setValue(['doc'], 'one', { createParents: true });
+  });
+
+  it('counts a node\'s writes in its version', async () => {
+    assert.equal((await tree.getNode(['doc'])).version, 1);
+    assert.equal((await tree.setValue(['doc'], 'two')).version, 2);
+    await tree.deleteNode(['doc']);
+    await tree.setValue(['doc'], 'again', { createParents: true });
+    assert.equal((await tree.getNode(['doc'])).version, 1);
+  });
+
+  it('sets only at the expected version', async () => {
+    assert.equal((await tree.compareAndSet(['doc'], 'two', { version: 1 })).ok, true);
+    const conflict = await tree.compareAndSet(['doc'], 'three', { version: 1 });
+    assert.equal(conflict.ok, false);
+    assert.equal(conflict.currentVersion, 2);
+    assert.equal(await tree.getValue(['doc']), 'two');
+  });
+
+  it('deletes only at the expected version and value', async () => {
+    const conflict = await tree.compareAndDelete(['doc'], { version: 1, value: 'other' });
+    assert.equal(conflict.ok, false);
+    assert.equal(conflict.currentValue, 'one');
+    assert.equal((await tree.compareAndDelete(['doc'], { version: 1 })).ok, true);
+    assert.equal(await tree.nodeExists(['doc']), false);
+  });
+});
@@ -2,9 +2,14 @@
 // Runtime types generated with workerd@1.20250317.0 2025-03-10 
 declare namespace Cloudflare {
 	interface Env {
-		OAUTH_KV: KVNamespace;
+		globaldata: KVNamespace;
 		MCP_OBJECT: DurableObjectNamespace<import("./src/index").MyMCP>;
-		ASSETS: Fetcher;
+		TREE_STORE: DurableObjectNamespace<import("./src/index").TreeStore>;
+		CHANGE_HUB: DurableObjectNamespace<import("./src/index").ChangeHub>;
+		TREE_BACKEND: string;
+		HISTORY_RETENTION: string;
+		ADMIN_PRINCIPALS: string;
+		AUTH_TOKENS?: string;
 	}
 }
 interface Env extends Cloudflare.Env {}